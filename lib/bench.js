@@ -0,0 +1,642 @@
+'use strict';
+
+/**
+ * Shared benchmark harness
+ *
+ * Replaces the bench()/measure()/time() helpers that every experiment used
+ * to carry, each with its own warmup, timer and number of runs.
+ *
+ * For every case:
+ *   1. warmup: fn is called `warmup` times untimed
+ *   2. `samples` timed runs of `iterations` back-to-back calls each
+ *   3. outliers are dropped (Tukey fences, 1.5 * IQR)
+ *   4. median, mean and 95% confidence interval are reported in ns/op
+ *
+ * fn receives the loop index. If fn runs its own inner loop, pass
+ * `opsPerCall` so ns/op counts the inner operations, not the calls.
+ *
+ * Usage:
+ *   const { suite } = require('../lib/bench');
+ *   const bench = suite({ iterations: 1e6 });
+ *   const r = bench('direct obj.a', () => obj.a);
+ *   r.median  // ns/op
+ *
+ *   await bench.async('await Promise.resolve', () => Promise.resolve(1));
+ *
+ *   bench.compare('direct obj.a', 'proxy obj.a').text  // 'slower by 18x (p<0.001)'
+ *
+ *   const { blackhole } = require('../lib/bench');
+ *   bench('split', () => { for (const s of lines) blackhole(s.split(',')); });
+ *
+ * Every value fn returns goes into blackhole(), so returning the result
+ * is enough to keep TurboFan from eliminating the work; inside a case,
+ * pass values that would otherwise be dropped to blackhole() yourself.
+ *
+ * Calibration: each suite also times an empty fn through the same loop,
+ * once per shape (sync/async, iterations, warmup, samples), and reports
+ * `baseline` (that overhead per op) and `net` (median minus baseline) next
+ * to the raw median. Ratios of net costs compare the operations without
+ * the loop and call around them. `calibrate: false` (or
+ * BENCH_CALIBRATE=0) turns it off.
+ *
+ * `dce: true` (or BENCH_DCE=1, or --dce on the command line) flags cases
+ * within 1.25x of the baseline: a body that costs nothing was most likely
+ * optimized away. Records get `dce: { ratio, suspect }`.
+ *
+ * Memory: the timed samples of each case are watched for allocation and
+ * GC (lib/memory.js), and the result gets
+ * `memory: { bytes, bytesPerOp, gcs, gcTypes, gcPause }`, printed as
+ * '48 B/op, 3 GCs 1.2 ms'. `memory: false` (or BENCH_MEMORY=0) turns it
+ * off; Node before 18.15 has no GCProfiler and reports nothing.
+ *
+ * Profiling: `profile: <dir>` (or BENCH_PROFILE=<dir>, or --profile for
+ * profiles/) records a sampling CPU profile of each case's timed samples
+ * into <dir>/<experiment>--<case>.cpuprofile (lib/profile.js). The frames
+ * with the most self time printed under the case come from a second run
+ * of it, in a child process under --prof, whose tick log names builtins
+ * the .cpuprofile counts as their caller's time (ProxyGetProperty,
+ * LoadIC_Megamorphic); if that run fails they come from the .cpuprofile,
+ * and the record's `profile.from` says which. Inlined cases count as the
+ * harness loop's time in both. The profiler slows the case down, so
+ * compare timings from runs without it.
+ *
+ * Tiers: `tier: 'turbofan'` (or 'maglev', 'sparkplug', 'ignition') puts
+ * fn in that tier after warmup with forceTier() from lib/opt-status.js,
+ * and a case that does not get there is not timed: it is reported as
+ * refused, with the tier it got, and the script exits non-zero. Below
+ * TurboFan the loop is kept unoptimized, so fn is called rather than
+ * inlined into TurboFan code. Ignition and Sparkplug cases run in a child
+ * process of their own (BENCH_CASE): the never-optimize mark that keeps
+ * fn there stays on its source, and would refuse a Maglev or TurboFan
+ * case of the same function later in this one. A bound, native or Proxy
+ * function can't be put in a tier and is refused; wrap it in an arrow.
+ * The result gets
+ * `tier: { target, reached, after }`, `after` being the tier fn had when
+ * the samples ended; a case that tiered up or deopted while it was timed
+ * is flagged. Needs node --allow-natives-syntax; without it the tier is
+ * warmed up to and not checked (`reached: null`).
+ *
+ * `gc: true` (or BENCH_GC=1) forces a full GC between warmup and the timed
+ * samples, so garbage from earlier cases is not collected on this one's
+ * clock; it needs node --expose-gc.
+ *
+ * JSON output: run any bench script with --json (or BENCH_JSON=1).
+ * Each case is written to stdout as one NDJSON record, with the
+ * environment fingerprint (lib/fingerprint.js) as `env`; everything the
+ * script prints with console.log goes to stderr instead.
+ */
+
+const path = require('path');
+const stats = require('./stats');
+const { fingerprint } = require('./fingerprint');
+const memory = require('./memory');
+const profile = require('./profile');
+const natives = require('./natives');
+const { decode, forceTier, status, tierMismatch } = require('./opt-status');
+const { runScript, supportsFlags } = require('./runner');
+const v8log = require('./v8-log');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+  iterations: 1e6,
+  samples: 10,
+  warmup: undefined, // calls; defaults to min(iterations, 1e4)
+  opsPerCall: 1,
+  labelWidth: 48,
+  quiet: false,
+  gc: process.env.BENCH_GC === '1',
+  calibrate: process.env.BENCH_CALIBRATE !== '0',
+  dce: process.env.BENCH_DCE === '1' || process.argv.includes('--dce'),
+  memory: process.env.BENCH_MEMORY !== '0',
+  profile: profileDir(),
+  tier: null, // 'ignition', 'sparkplug', 'maglev' or 'turbofan'
+};
+
+// A case whose time per op is within this factor of the baseline's
+// is probably not measuring anything
+const DCE_FACTOR = 1.25;
+
+// Frames of self time listed per case when profiling
+const PROFILE_TOP = 8;
+
+// µs between ticks in the --prof run of a profiled case
+const TICK_INTERVAL = 100;
+
+// BENCH_PROFILE=<dir> or --profile (into profiles/); false when off
+function profileDir() {
+  const env = process.env.BENCH_PROFILE;
+  if (env && env !== '0') return env === '1' ? 'profiles' : env;
+  return process.argv.includes('--profile') ? 'profiles' : false;
+}
+
+const JSON_MODE = process.argv.includes('--json') || process.env.BENCH_JSON === '1';
+
+// Set by the isolated runner (runIsolated in lib/runner.js): measure only
+// the case with this label, or with BENCH_LIST=1 none, just list them
+const ONLY_CASE = process.env.BENCH_CASE;
+const LIST_MODE = process.env.BENCH_LIST === '1';
+// Set when this process measures one pinned-tier case for its parent
+// (see runPinned below), which wants to hear about a refusal too
+const PINNED_CHILD = process.env.BENCH_PINNED === '1';
+// Set when this process runs one case under --prof for its parent (see
+// tickProfile below): the timed samples are marked in the log
+const TICK_MARKS = process.env.BENCH_TICKS === '1';
+
+if (JSON_MODE) {
+  // Keep stdout clean for the records; human-readable output still shows up
+  console.log = console.error.bind(console);
+}
+
+// Values passed to blackhole(). Stores to a module-level array are
+// visible outside the optimized function, so TurboFan has to keep them,
+// and with them the work that produced the value.
+const HOLE = new Array(16).fill(undefined);
+let holeIndex = 0;
+
+/**
+ * Keeps `value` alive so the code computing it is not dead. Every call's
+ * result goes through it in the harness loop; call it yourself inside a
+ * case for intermediate values that are otherwise dropped.
+ */
+function blackhole(value) {
+  HOLE[holeIndex = (holeIndex + 1) & 15] = value;
+}
+
+// Each case gets its own loop function. A shared loop would see every
+// case's fn at one call site, go megamorphic and stop inlining. The
+// numbered comment keeps the sources apart: new Function with a source it
+// has compiled before reuses that code, feedback included.
+let loops = 0;
+
+function createLoop() {
+  return new Function('fn', 'n', 'now', 'sink', [
+    `// loop ${++loops}`,
+    'const start = now();',
+    'for (let i = 0; i < n; i++) sink(fn(i));',
+    'const end = now();',
+    'return Number(end - start);',
+  ].join('\n'));
+}
+
+// The async function itself, not a wrapper around it, so the loop that
+// natives.neverOptimize() marks is the one that runs
+function createAsyncLoop() {
+  return new Function([
+    'return async function(fn, n, now, sink) {',
+    `  // loop ${++loops}`,
+    '  const start = now();',
+    '  for (let i = 0; i < n; i++) sink(await fn(i));',
+    '  const end = now();',
+    '  return Number(end - start);',
+    '};',
+  ].join('\n'))();
+}
+
+function now() {
+  return process.hrtime.bigint();
+}
+
+function resolveOptions(options) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  if (opts.warmup === undefined) opts.warmup = Math.min(opts.iterations, 1e4);
+  return opts;
+}
+
+function collectGarbage() {
+  if (typeof global.gc !== 'function') throw new Error('bench: gc needs node --expose-gc');
+  global.gc();
+}
+
+// Puts fn in opts.tier after warmup. Throws an error with code
+// ERR_BENCH_TIER if it ends up elsewhere, so the case is not timed.
+function enterTier(fn, opts) {
+  const reached = forceTier(fn, opts.tier, () => fn(0));
+  if (reached && reached.tier !== opts.tier) {
+    const error = new Error(tierMismatch(reached, opts.tier));
+    error.code = 'ERR_BENCH_TIER';
+    throw error;
+  }
+  return { target: opts.tier, reached: reached && reached.tier, after: null };
+}
+
+// The tier fn is in after the samples, when it was checked before them
+function exitTier(fn, tier) {
+  if (!tier) return undefined;
+  return Object.assign({}, tier, { after: tier.reached ? decode(status(fn)).tier : null });
+}
+
+function summarize(raw, opts, allocated, cpuprofile, tier) {
+  const { kept, outliers } = stats.rejectOutliers(raw);
+  return {
+    iterations: opts.iterations,
+    opsPerCall: opts.opsPerCall,
+    warmup: opts.warmup,
+    samples: kept,
+    outliers: outliers.length,
+    median: stats.median(kept),
+    mean: stats.mean(kept),
+    stddev: stats.stddev(kept),
+    ci95: stats.confidenceInterval(kept),
+    min: Math.min(...kept),
+    max: Math.max(...kept),
+    memory: allocated || undefined,
+    cpuprofile: cpuprofile || undefined,
+    tier,
+  };
+}
+
+function measure(fn, options) {
+  const opts = resolveOptions(options);
+  const loop = createLoop();
+  // An optimized loop would inline fn, and time TurboFan code whatever
+  // tier fn itself is in
+  if (opts.tier && opts.tier !== 'turbofan') natives.neverOptimize(loop);
+
+  if (opts.warmup > 0) loop(fn, opts.warmup, now, blackhole);
+  const tier = opts.tier ? enterTier(fn, opts) : undefined;
+  if (opts.gc) collectGarbage();
+
+  const profiling = opts.profile ? profile.start() : null;
+  const tracked = opts.memory ? memory.track() : null;
+  const raw = [];
+  if (TICK_MARKS) profile.mark('start');
+  for (let s = 0; s < opts.samples; s++) {
+    const ns = loop(fn, opts.iterations, now, blackhole);
+    raw.push(ns / (opts.iterations * opts.opsPerCall));
+  }
+  if (TICK_MARKS) profile.mark('stop');
+  const allocated = tracked && tracked.stop(opts.samples * opts.iterations * opts.opsPerCall);
+  return summarize(raw, opts, allocated, profiling && profiling.stop(), exitTier(fn, tier));
+}
+
+async function measureAsync(fn, options) {
+  const opts = resolveOptions(options);
+  const loop = createAsyncLoop();
+  if (opts.tier && opts.tier !== 'turbofan') natives.neverOptimize(loop);
+
+  if (opts.warmup > 0) await loop(fn, opts.warmup, now, blackhole);
+  const tier = opts.tier ? enterTier(fn, opts) : undefined;
+  if (opts.gc) collectGarbage();
+
+  const profiling = opts.profile ? profile.start() : null;
+  const tracked = opts.memory ? memory.track() : null;
+  const raw = [];
+  if (TICK_MARKS) profile.mark('start');
+  for (let s = 0; s < opts.samples; s++) {
+    const ns = await loop(fn, opts.iterations, now, blackhole);
+    raw.push(ns / (opts.iterations * opts.opsPerCall));
+  }
+  if (TICK_MARKS) profile.mark('stop');
+  const allocated = tracked && tracked.stop(opts.samples * opts.iterations * opts.opsPerCall);
+  return summarize(raw, opts, allocated, profiling && profiling.stop(), exitTier(fn, tier));
+}
+
+function formatNs(ns) {
+  if (ns < 10) return ns.toFixed(2);
+  if (ns < 1000) return ns.toFixed(1);
+  return ns.toFixed(0);
+}
+
+// Half-width of the confidence interval as a percentage of the mean;
+// null without an interval (a single sample)
+function spread(result) {
+  if (!result.ci95) return null;
+  return (result.ci95[1] - result.ci95[0]) / 2 / result.mean * 100;
+}
+
+// 4.13 -> '±4.1%', padded to `width` digits; null -> 'n/a' in the same width
+function formatSpread(pct, width = 0) {
+  return pct === null ? 'n/a'.padStart(width + 2) : `±${pct.toFixed(1).padStart(width)}%`;
+}
+
+function formatP(p) {
+  if (p < 0.001) return 'p<0.001';
+  if (p < 0.01) return 'p<0.01';
+  return `p=${p.toFixed(p < 0.1 ? 3 : 2)}`;
+}
+
+// How far b's time is from a's, for a ratio b / a: the change in time
+// as a percentage ('38%' for 0.62 and for 1.38), or as a factor once one
+// takes twice as long as the other ('3.4x' for 3.4 and for 0.29)
+function formatChange(ratio) {
+  if (ratio >= 2) return `${ratio.toFixed(1)}x`;
+  if (ratio <= 0.5) return `${(1 / ratio).toFixed(1)}x`;
+  return `${(Math.abs(ratio - 1) * 100).toFixed(0)}%`;
+}
+
+/**
+ * Is `b` faster or slower than `a`? Both are results from bench().
+ *   { ratio, ci95, netRatio, p, significant, text }
+ * ratio is b.median / a.median with a bootstrap 95% interval, netRatio
+ * b.net / a.net (NaN without calibration); p is from a
+ * two-sided Mann-Whitney U test on the two sets of samples. `alpha`
+ * (default 0.01) is the significance level. text reads
+ * 'faster by 38% (p<0.01)', 'slower by 3.4x (p<0.001)' or
+ * 'no significant difference (p=0.42)'. The percentage is the change in
+ * time, so a ratio of 0.62 is 38% faster and 1.38 38% slower; from 2x
+ * apart it is the factor. No significant difference does not mean the
+ * same cost: for that, check that ci95 stays within a tolerance.
+ */
+function compare(a, b, options = {}) {
+  const alpha = options.alpha === undefined ? 0.01 : options.alpha;
+  if (!a || !b || a.skipped || b.skipped) {
+    return { ratio: NaN, ci95: [NaN, NaN], netRatio: NaN, p: NaN, significant: false, text: 'not measured' };
+  }
+  const ratio = b.median / a.median;
+  const { p } = stats.mannWhitney(a.samples, b.samples);
+  const significant = p < alpha;
+  let text;
+  if (!significant) text = `no significant difference (${formatP(p)})`;
+  else text = `${ratio < 1 ? 'faster' : 'slower'} by ${formatChange(ratio)} (${formatP(p)})`;
+  const netRatio = a.net === undefined || b.net === undefined ? NaN : b.net / a.net;
+  return { ratio, ci95: stats.bootstrapRatio(a.samples, b.samples), netRatio, p, significant, text };
+}
+
+// '  48 B/op, 3 GCs 1.2 ms'
+function formatMemory(m) {
+  if (!m) return '';
+  const gcs = m.gcs ? `, ${m.gcs} GC${m.gcs === 1 ? '' : 's'} ${m.gcPause.toFixed(1)} ms` : '';
+  return `  ${memory.formatBytes(m.bytesPerOp)}/op${gcs}`;
+}
+
+function format(label, result, width = DEFAULTS.labelWidth) {
+  const count = result.samples.length;
+  const n = result.outliers;
+  const outliers = n ? `, ${n} outlier${n === 1 ? '' : 's'}` : '';
+  const suspect = result.dce && result.dce.suspect ? '  ⚠ ~empty loop' : '';
+  const t = result.tier;
+  const moved = t && t.after && t.after !== t.target ? `  ⚠ left ${t.target} (now ${t.after})` : '';
+  const net = result.net === undefined ? '' : `  net ${formatNs(result.net).padStart(6)}`;
+  return `  ${label.padEnd(width)} ${formatNs(result.median).padStart(9)} ns/op${net}` +
+    `  ${formatSpread(spread(result), 4)}` +
+    `  (${count} sample${count === 1 ? '' : 's'}${outliers})${formatMemory(result.memory)}${suspect}${moved}`;
+}
+
+// "v8-proxy/bench" for v8-proxy/bench.js; BENCH_EXPERIMENT overrides it
+function experimentId() {
+  if (process.env.BENCH_EXPERIMENT) return process.env.BENCH_EXPERIMENT;
+  const main = require.main && require.main.filename;
+  if (!main) return 'unknown';
+  return path.relative(ROOT, main).replace(/\\/g, '/').replace(/\.js$/, '');
+}
+
+function toRecord(result) {
+  return {
+    experiment: experimentId(),
+    case: result.label,
+    unit: 'ns/op',
+    iterations: result.iterations,
+    opsPerCall: result.opsPerCall,
+    warmup: result.warmup,
+    samples: result.samples,
+    outliers: result.outliers,
+    median: result.median,
+    mean: result.mean,
+    stddev: result.stddev,
+    ci95: result.ci95,
+    spread: spread(result),
+    min: result.min,
+    max: result.max,
+    baseline: result.baseline, // with calibration
+    net: result.net,
+    dce: result.dce, // only in dce mode
+    memory: result.memory,
+    profile: result.profile,
+    tier: result.tier, // with a declared tier
+    env: fingerprint(),
+  };
+}
+
+/**
+ * Returns a bench(label, fn, overrides) function with shared defaults.
+ * Results are collected on bench.results in run order.
+ */
+function suite(defaults) {
+  const base = Object.assign({}, DEFAULTS, defaults);
+  const results = [];
+  const baselines = new Map();
+
+  function baselineKey(kind, opts) {
+    return `${kind}/${opts.iterations}/${opts.warmup}/${opts.samples}/${opts.gc}/${opts.tier}`;
+  }
+
+  // Each tier times its own empty function: one that forceTier() kept
+  // below Maglev could not be optimized for the next tier
+  function emptyFn(kind, opts) {
+    return new Function(`return ${kind === 'async' ? 'async ' : ''}function() { /* ${opts.tier || ''} */ };`)();
+  }
+
+  function printBaseline(perCall, opts) {
+    if (!opts.quiet) console.log(`  ${'(empty fn)'.padEnd(opts.labelWidth)} ${formatNs(perCall).padStart(9)} ns/call`);
+  }
+
+  // A baseline that missed the tier refuses the case too; say which
+  function baselineTier(error) {
+    if (error.code === 'ERR_BENCH_TIER') error.message = `(empty fn) ${error.message}`;
+    return error;
+  }
+
+  // Median ns per call of an empty function, timed like the case is
+  function baseline(opts) {
+    const key = baselineKey('sync', opts);
+    if (!baselines.has(key)) {
+      try {
+        baselines.set(key, measure(emptyFn('sync', opts), Object.assign({}, opts, { opsPerCall: 1, memory: false, profile: false })).median);
+      } catch (e) {
+        throw baselineTier(e);
+      }
+      printBaseline(baselines.get(key), opts);
+    }
+    return baselines.get(key);
+  }
+
+  async function baselineAsync(opts) {
+    const key = baselineKey('async', opts);
+    if (!baselines.has(key)) {
+      try {
+        baselines.set(key, (await measureAsync(emptyFn('async', opts), Object.assign({}, opts, { opsPerCall: 1, memory: false, profile: false }))).median);
+      } catch (e) {
+        throw baselineTier(e);
+      }
+      printBaseline(baselines.get(key), opts);
+    }
+    return baselines.get(key);
+  }
+
+  // Adds baseline and net; in dce mode also flags a case that runs about
+  // as fast as the empty function, which usually means TurboFan removed
+  // its body
+  function calibrate(measured, perCall, opts) {
+    const overhead = perCall / opts.opsPerCall;
+    measured.baseline = overhead;
+    measured.net = Math.max(0, measured.median - overhead);
+    if (opts.dce) {
+      const ratio = measured.median / overhead;
+      measured.dce = { ratio, suspect: ratio <= DCE_FACTOR };
+    }
+    return measured;
+  }
+
+  function calibrated(opts) {
+    return opts.calibrate || opts.dce;
+  }
+
+  // Self time per frame from the case run again in a child process under
+  // --prof, where builtins called from compiled code (ProxyGetProperty,
+  // LoadIC_Megamorphic) have their own ticks instead of being their
+  // caller's time as in the .cpuprofile; null if that run fails
+  function tickProfile(label) {
+    if (!require.main) return null;
+    const logFlags = ['--prof', `--prof-sampling-interval=${TICK_INTERVAL}`];
+    // Otherwise the builtins run from a copy the log has no addresses for
+    if (supportsFlags(['--short-builtin-calls'])) logFlags.push('--no-short-builtin-calls');
+    try {
+      const log = v8log.run(require.main.filename, logFlags, {
+        flags: process.execArgv,
+        args: process.argv.slice(2).filter((a) => a !== '--profile'),
+        env: { BENCH_CASE: label, BENCH_TICKS: '1', BENCH_PROFILE: '0', BENCH_CALIBRATE: '0', BENCH_MEMORY: '0' },
+      });
+      const frames = profile.tickTimes(log);
+      return frames.ticks ? frames : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Writes the case's .cpuprofile and keeps its file and the top frames,
+  // from the --prof run when there is one
+  function saveProfile(result, opts) {
+    const file = path.resolve(opts.profile, `${experimentId().replace(/\//g, '--')}--${result.label.replace(/[^\w.-]+/g, '-')}.cpuprofile`);
+    profile.write(file, result.cpuprofile);
+    const ticks = tickProfile(result.label);
+    const frames = ticks || profile.selfTimes(result.cpuprofile);
+    result.profile = { file, top: frames.slice(0, PROFILE_TOP), from: ticks ? 'ticks' : 'cpuprofile' };
+    delete result.cpuprofile;
+  }
+
+  function report(label, measured, opts) {
+    const result = Object.assign({ label }, measured);
+    if (result.cpuprofile) saveProfile(result, opts);
+    results.push(result);
+    if (JSON_MODE) process.stdout.write(JSON.stringify(toRecord(result)) + '\n');
+    if (!opts.quiet) {
+      console.log(format(label, result, opts.labelWidth));
+      if (result.profile) {
+        for (const f of result.profile.top) console.log(`      ${profile.formatFrame(f)}`);
+        console.log(`      -> ${path.relative(process.cwd(), result.profile.file)}`);
+      }
+    }
+    return result;
+  }
+
+  function notMeasured(label) {
+    return { label, skipped: true, samples: [], median: NaN, mean: NaN, stddev: NaN, ci95: null, min: NaN, max: NaN, net: NaN };
+  }
+
+  // A case the isolated runner did not ask for: fn never runs, and the
+  // script gets NaN timings back
+  function skip(label) {
+    if (!LIST_MODE && (ONLY_CASE === undefined || ONLY_CASE === label)) return null;
+    if (LIST_MODE && JSON_MODE) {
+      process.stdout.write(JSON.stringify({ experiment: experimentId(), case: label, listed: true }) + '\n');
+    }
+    return notMeasured(label);
+  }
+
+  // A case (or its baseline) that missed its tier: timing it would report
+  // another tier's numbers under this one's name, so it gets no record
+  function refuse(label, error) {
+    if (error.code !== 'ERR_BENCH_TIER') throw error;
+    if (PINNED_CHILD && JSON_MODE) {
+      process.stdout.write(JSON.stringify({ experiment: experimentId(), case: label, refused: error.message }) + '\n');
+    }
+    console.error(`  ${label.padEnd(base.labelWidth)} not timed: ${error.message}`);
+    process.exitCode = 1;
+    return Object.assign(notMeasured(label), { refused: error.message });
+  }
+
+  // Ignition and Sparkplug cases mark fn never-optimize, and V8 keeps the
+  // mark on every closure of the same source: a Maglev or TurboFan case
+  // of that function later in the run would be refused. So with natives
+  // these cases run in a child process that measures only them.
+  function pinnedElsewhere(opts) {
+    return Boolean(opts.tier) && opts.tier !== 'maglev' && opts.tier !== 'turbofan' &&
+      natives.available && ONLY_CASE === undefined && !LIST_MODE && Boolean(require.main);
+  }
+
+  // The child's record (it calibrates itself), or its refusal
+  function runPinned(label, opts) {
+    const run = runScript(require.main.filename, {
+      flags: process.execArgv,
+      args: process.argv.slice(2),
+      env: { BENCH_CASE: label, BENCH_PINNED: '1' },
+      quiet: true,
+    });
+    const record = run.records.find((r) => r.case === label);
+    if (!record || record.refused) {
+      const failed = run.error ? run.error.message : `exit ${run.signal || run.status}`;
+      const error = new Error(record ? record.refused : `the child process timing it failed (${failed})`);
+      error.code = 'ERR_BENCH_TIER';
+      return refuse(label, error);
+    }
+    const measured = Object.assign({}, record);
+    for (const key of ['experiment', 'case', 'unit', 'spread', 'env']) delete measured[key];
+    return report(label, measured, opts);
+  }
+
+  function bench(label, fn, overrides) {
+    const opts = Object.assign({}, base, overrides);
+    const skipped = skip(label);
+    if (skipped) return skipped;
+    if (pinnedElsewhere(opts)) return runPinned(label, opts);
+    let perCall;
+    let measured;
+    try {
+      perCall = calibrated(opts) ? baseline(opts) : null;
+      measured = measure(fn, opts);
+    } catch (e) {
+      return refuse(label, e);
+    }
+    return report(label, perCall === null ? measured : calibrate(measured, perCall, opts), opts);
+  }
+
+  bench.async = async function(label, fn, overrides) {
+    const opts = Object.assign({}, base, overrides);
+    const skipped = skip(label);
+    if (skipped) return skipped;
+    if (pinnedElsewhere(opts)) return runPinned(label, opts);
+    let perCall;
+    let measured;
+    try {
+      perCall = calibrated(opts) ? await baselineAsync(opts) : null;
+      measured = await measureAsync(fn, opts);
+    } catch (e) {
+      return refuse(label, e);
+    }
+    return report(label, perCall === null ? measured : calibrate(measured, perCall, opts), opts);
+  };
+
+  // Cases by label (or results), see compare()
+  bench.compare = function(a, b, options) {
+    const find = (x) => (typeof x === 'string' ? results.find((r) => r.label === x) : x);
+    return compare(find(a), find(b), options);
+  };
+
+  bench.results = results;
+  return bench;
+}
+
+module.exports = {
+  suite,
+  blackhole,
+  measure,
+  measureAsync,
+  compare,
+  format,
+  formatNs,
+  formatSpread,
+  spread,
+  toRecord,
+  JSON_MODE,
+};
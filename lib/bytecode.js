@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * Capture and parse V8 bytecode listings (--print-bytecode).
+ *
+ * capture() runs a script under
+ *   node --print-bytecode --print-bytecode-filter=<name> <script>
+ * and parse() turns the output into one record per function:
+ *
+ *   {
+ *     name: 'getSum',
+ *     length: 3,                     // bytes
+ *     parameterCount, registerCount, frameSize,
+ *     instructions: [{ offset, bytes, opcode, operands, text, position, target, jumpTable }],
+ *     constantPool: [{ index, type, value, text }],
+ *     handlerTable: [{ from, to, handler, prediction, data }],
+ *     sourcePositions: [{ offset, position, statement, line, column }],
+ *   }
+ *
+ * V8 compiles lazily: a function only shows up if the script calls it.
+ * Source positions are character offsets into the script; line/column
+ * (1-based) are filled in when the source is known.
+ *
+ * parse() also accepts listings pasted into comments, with or without the
+ * position prefix and address column:
+ *   179 S> 0x2f2b4f11d596 @    0 : 0d 05             LdaSmi [5]
+ *          0x290200002194 @    0 : 0d 05             LdaSmi [5]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const HEADER = /^\[generated bytecode for function: ?(.*?)(?: \((?:0x[0-9a-f]+ )?<SharedFunctionInfo ?.*>\))?\]$/;
+const INSTRUCTION = /^\s*(?:(\d+) ([SE])> )?\s*(?:0x[0-9a-f]+ )?@\s*(\d+) : ((?:[0-9a-f]{2} )+)\s*([A-Z][\w.]*)(.*)$/;
+const JUMP_TARGET = /\s*\((?:0x[0-9a-f]+ )?@ (\d+)\)$/;
+const JUMP_TABLE = /\s*\{([^}]*)\}$/;
+const POOL_ENTRY = /^\s+(\d+)(?:-(\d+))?: (.*)$/;
+const HANDLER = /^\s*\(\s*(\d+),\s*(\d+)\)\s*->\s*(\d+) \(prediction=(\d+), data=(\d+)\)/;
+
+// Split "a0, [1], [0]" into operands; nothing here nests commas
+function splitOperands(text) {
+  const s = text.trim();
+  return s ? s.split(/,\s*/) : [];
+}
+
+function parseInstruction(line) {
+  const m = INSTRUCTION.exec(line);
+  if (!m) return null;
+  let rest = m[6].trim();
+
+  let target = null;
+  const jump = JUMP_TARGET.exec(rest);
+  if (jump) {
+    target = Number(jump[1]);
+    rest = rest.slice(0, jump.index);
+  }
+
+  // SwitchOnSmiNoFeedback / SwitchOnGeneratorState: { 0: @23, 1: @50 }
+  let jumpTable = null;
+  const table = JUMP_TABLE.exec(rest);
+  if (table) {
+    jumpTable = {};
+    for (const entry of table[1].split(',')) {
+      const e = /(-?\d+): @(\d+)/.exec(entry);
+      if (e) jumpTable[e[1]] = Number(e[2]);
+    }
+    rest = rest.slice(0, table.index);
+  }
+
+  const operands = splitOperands(rest);
+  return {
+    offset: Number(m[3]),
+    bytes: m[4].trim(),
+    opcode: m[5],
+    operands,
+    text: operands.length ? `${m[5]} ${operands.join(', ')}` : m[5],
+    position: m[1] === undefined ? null : { position: Number(m[1]), statement: m[2] === 'S' },
+    target,
+    jumpTable,
+  };
+}
+
+// "<String[5]: #hello>" -> { type: 'String', value: 'hello' }
+function parsePoolValue(text) {
+  const obj = /^(?:0x[0-9a-f]+ )?<(.*)>$/.exec(text);
+  if (!obj) {
+    // Smis are printed bare
+    const n = Number(text);
+    return { type: Number.isNaN(n) ? 'unknown' : 'Smi', value: Number.isNaN(n) ? text : n };
+  }
+  const inner = obj[1];
+  const type = /^[A-Za-z_]+/.exec(inner);
+  const str = /^(?:Internalized)?String\[\d+\]: #?(.*)$/.exec(inner);
+  if (str) return { type: 'String', value: str[1] };
+  const num = /^HeapNumber (.*)$/.exec(inner);
+  if (num) return { type: 'HeapNumber', value: Number(num[1]) };
+  const rest = (type ? inner.slice(type[0].length) : inner).replace(/0x[0-9a-f]+ /g, '').trim();
+  return { type: type ? type[0] : 'unknown', value: rest || null };
+}
+
+function lineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+function locate(starts, position) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= position) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: position - starts[lo] + 1 };
+}
+
+function newFunction(name) {
+  return {
+    name,
+    length: null,
+    parameterCount: null,
+    registerCount: null,
+    frameSize: null,
+    instructions: [],
+    constantPool: [],
+    handlerTable: [],
+    sourcePositions: [],
+  };
+}
+
+function finish(fn, starts) {
+  if (fn.length === null && fn.instructions.length) {
+    const last = fn.instructions[fn.instructions.length - 1];
+    fn.length = last.offset + last.bytes.split(' ').length;
+  }
+  for (const ins of fn.instructions) {
+    if (!ins.position) continue;
+    const entry = { offset: ins.offset, position: ins.position.position, statement: ins.position.statement };
+    if (starts) Object.assign(entry, locate(starts, entry.position));
+    fn.sourcePositions.push(entry);
+  }
+  return fn;
+}
+
+/**
+ * Parses --print-bytecode output into function records.
+ * Lines that aren't part of a listing (the script's own output) are skipped.
+ * Instructions before any header (pasted listings) go into one unnamed record.
+ */
+function parse(text, source) {
+  const starts = source === undefined ? null : lineStarts(source);
+  const functions = [];
+  let fn = null;
+  let section = null; // 'pool' | 'handlers' while inside those tables
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\s+$/, '');
+    const header = HEADER.exec(line.trim());
+    if (header) {
+      if (fn) functions.push(finish(fn, starts));
+      fn = newFunction(header[1]);
+      section = null;
+      continue;
+    }
+
+    const ins = parseInstruction(line);
+    if (ins) {
+      if (!fn) fn = newFunction('');
+      fn.instructions.push(ins);
+      section = null;
+      continue;
+    }
+    if (!fn) continue;
+
+    let m;
+    if ((m = /^Bytecode length: (\d+)/.exec(line))) fn.length = Number(m[1]);
+    else if ((m = /^Parameter count (\d+)/.exec(line))) fn.parameterCount = Number(m[1]);
+    else if ((m = /^Register count (\d+)/.exec(line))) fn.registerCount = Number(m[1]);
+    else if ((m = /^Frame size (\d+)/.exec(line))) fn.frameSize = Number(m[1]);
+    else if (/^Constant pool \(size = \d+\)/.test(line)) section = 'pool';
+    else if (/^Handler Table \(size = \d+\)/.test(line)) section = 'handlers';
+    else if (/^Source Position Table/.test(line)) section = null;
+    else if (section === 'pool' && (m = POOL_ENTRY.exec(line))) {
+      const value = parsePoolValue(m[3]);
+      const last = m[2] === undefined ? Number(m[1]) : Number(m[2]);
+      // V8 prints runs of the same value as "2-4: <value>"
+      for (let i = Number(m[1]); i <= last; i++) {
+        fn.constantPool.push({ index: i, type: value.type, value: value.value, text: m[3].replace(/0x[0-9a-f]+ /g, '') });
+      }
+    } else if (section === 'handlers' && (m = HANDLER.exec(line))) {
+      fn.handlerTable.push({
+        from: Number(m[1]),
+        to: Number(m[2]),
+        handler: Number(m[3]),
+        prediction: Number(m[4]),
+        data: Number(m[5]),
+      });
+    }
+  }
+  if (fn) functions.push(finish(fn, starts));
+  return functions;
+}
+
+// Opcodes whose last [n] operand is a feedback slot
+const FEEDBACK_LAST = new Set([
+  'Add', 'Sub', 'Mul', 'Div', 'Mod', 'Exp', 'BitwiseOr', 'BitwiseXor', 'BitwiseAnd',
+  'ShiftLeft', 'ShiftRight', 'ShiftRightLogical',
+  'AddSmi', 'SubSmi', 'MulSmi', 'DivSmi', 'ModSmi', 'ExpSmi', 'BitwiseOrSmi', 'BitwiseXorSmi',
+  'BitwiseAndSmi', 'ShiftLeftSmi', 'ShiftRightSmi', 'ShiftRightLogicalSmi',
+  'Inc', 'Dec', 'Negate', 'BitwiseNot', 'ToNumber', 'ToNumeric',
+  'TestEqual', 'TestEqualStrict', 'TestLessThan', 'TestGreaterThan', 'TestLessThanOrEqual',
+  'TestGreaterThanOrEqual', 'TestInstanceOf', 'TestIn',
+  'LdaGlobal', 'LdaGlobalInsideTypeof', 'StaGlobal', 'LdaLookupGlobalSlot', 'LdaLookupGlobalSlotInsideTypeof',
+  'GetNamedProperty', 'GetNamedPropertyFromSuper', 'GetKeyedProperty', 'SetNamedProperty',
+  'DefineNamedOwnProperty', 'SetKeyedProperty', 'DefineKeyedOwnProperty', 'StaInArrayLiteral',
+  'LdaNamedProperty', 'LdaNamedPropertyFromSuper', 'LdaKeyedProperty', 'StaNamedProperty',
+  'StaNamedOwnProperty', 'StaKeyedProperty', 'StaDataPropertyInLiteral', 'DefineKeyedOwnPropertyInLiteral',
+  'CallAnyReceiver', 'CallProperty', 'CallProperty0', 'CallProperty1', 'CallProperty2',
+  'CallUndefinedReceiver', 'CallUndefinedReceiver0', 'CallUndefinedReceiver1', 'CallUndefinedReceiver2',
+  'CallWithSpread', 'Construct', 'ConstructWithSpread', 'GetIterator', 'ForInPrepare', 'ForInNext',
+  'CloneObject', 'GetTemplateObject',
+]);
+
+// ...and these take it as the second operand: CreateClosure [sfi], [slot], #flags
+const FEEDBACK_SECOND = new Set([
+  'CreateClosure', 'CreateArrayLiteral', 'CreateObjectLiteral', 'CreateRegExpLiteral',
+]);
+
+function feedbackSlot(ins) {
+  const opcode = ins.opcode.replace(/\.(Wide|ExtraWide)$/, '');
+  let operand;
+  if (FEEDBACK_SECOND.has(opcode)) operand = ins.operands[1];
+  else if (opcode === 'CreateEmptyArrayLiteral') operand = ins.operands[0];
+  // JumpLoop [offset], [depth], [slot] since V8 10.x; no slot before that
+  else if (opcode === 'JumpLoop') operand = ins.operands.length === 3 ? ins.operands[2] : undefined;
+  else if (FEEDBACK_LAST.has(opcode)) operand = ins.operands[ins.operands.length - 1];
+  const m = operand && /^\[(\d+)\]$/.exec(operand);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Counts for comparing two functions:
+ *   instructions, bytes, registers, constants
+ *   contextSlots   slots allocated by CreateFunctionContext/CreateEvalContext
+ *   feedbackSlots  distinct feedback slots the bytecode refers to
+ *                  (inferred from operand positions, so an estimate)
+ */
+function stats(fn) {
+  let contextSlots = 0;
+  const feedback = new Set();
+  for (const ins of fn.instructions) {
+    if (/^Create(Function|Eval)Context/.test(ins.opcode)) {
+      const m = /^\[(\d+)\]$/.exec(ins.operands[1] || '');
+      if (m) contextSlots += Number(m[1]);
+    }
+    const slot = feedbackSlot(ins);
+    if (slot !== null) feedback.add(slot);
+  }
+  return {
+    instructions: fn.instructions.length,
+    bytes: fn.length,
+    registers: fn.registerCount,
+    constants: fn.constantPool.length,
+    contextSlots,
+    feedbackSlots: feedback.size,
+  };
+}
+
+/**
+ * Runs `script` with --print-bytecode and returns the parsed functions.
+ * `filter` is a function name (V8 also accepts '*' and '-name'), or an
+ * array of names, which runs the script once per name.
+ *
+ * Options: node (binary), flags (extra V8 flags), args (script arguments),
+ * timeout (ms).
+ */
+function capture(script, filter, options = {}) {
+  if (Array.isArray(filter)) {
+    return filter.flatMap((name) => capture(script, name, options));
+  }
+
+  const file = path.resolve(script);
+  const child = spawnSync(options.node || process.execPath, [
+    '--print-bytecode',
+    `--print-bytecode-filter=${filter}`,
+    ...(options.flags || []),
+    file,
+    ...(options.args || []),
+  ], {
+    cwd: path.dirname(file),
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    timeout: options.timeout,
+  });
+  if (child.error) throw child.error;
+
+  // The script may throw after its functions ran; the listings are still good
+  const functions = parse(child.stdout, fs.readFileSync(file, 'utf8'));
+  if (functions.length === 0 && child.status !== 0) {
+    const stderr = child.stderr.trim().split('\n').slice(0, 5).join('\n');
+    throw new Error(`${script} exited with ${child.status}:\n${stderr}`);
+  }
+  return functions;
+}
+
+module.exports = {
+  capture,
+  parse,
+  parseInstruction,
+  stats,
+};
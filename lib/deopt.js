@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Run a script with deoptimization tracing and parse every bailout.
+ *
+ * trace() runs node --trace-deopt-verbose (plain --trace-deopt on Node <= 14,
+ * where it is already verbose) and parse() turns the output into entries:
+ *
+ *   {
+ *     function: 'stableAdd',       // '' for anonymous (e.g. the module wrapper)
+ *     kind: 'eager',               // eager | lazy | soft, or 'invalidated'
+ *     reason: 'not a Smi',
+ *     bytecodeOffset: 2,
+ *     file, line, column,          // where in the source the deopt happened
+ *     inlinedAt: [{ file, line, column }],
+ *     tier: 'turbofan',            // code that was thrown away (Node 20+)
+ *     optId: 0,
+ *   }
+ *
+ * 'invalidated' entries come from "marking dependent code ... for
+ * deoptimization": optimized code dropped because an assumption it relied
+ * on (a prototype, a field type) changed. Frames of that code still on the
+ * stack are deoptimized lazily when control returns to them.
+ *
+ * Usage:
+ *   const { trace } = require('../lib/deopt');
+ *   const deopts = trace('v8-smi-deopt/deopt-trace.js');
+ *   deopts.some((d) => d.function === 'stableAdd' && d.reason === 'not a Smi')
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { supportsFlags } = require('./runner');
+
+// [bailout (kind: deopt-eager, reason: not a Smi): begin. deoptimizing 0x.. <JSFunction stableAdd (sfi = 0x..)>,
+//   0x.. <Code TURBOFAN>, opt id 0, bytecode offset 2, deopt exit 0, ...]
+const BAILOUT = /^\[bailout \(kind: deopt-(\w+), reason: (.*?)\): begin\. deoptimizing (?:0x[0-9a-f]+ )?<JSFunction ?(.*?) \(sfi = [^)]*\)>, (?:(?:0x[0-9a-f]+ )?<Code (\w+)>, )?opt id (\d+), bytecode offset (\d+)/;
+// Node <= 14: [deoptimizing (DEOPT soft): begin 0x.. <JSFunction (sfi = 0x..)> (opt #1) @5, ...]
+const OLD_BAILOUT = /^\[deoptimizing \(DEOPT (\w+)\): begin (?:0x[0-9a-f]+ )?<JSFunction ?(.*?) \(sfi = [^)]*\)> \(opt #(\d+)\)/;
+const LOCATION = /^\s*;;; deoptimize at <([^>]*):(\d+):(\d+)>((?: inlined at <[^>]*>)*)(?:, (.*))?$/;
+const INPUT_FRAME = /^\s*reading input frame .*=> bytecode_offset=(\d+)/;
+const MARKING = /^\[marking dependent code (?:0x[0-9a-f]+ )?(?:<Code (\w+)> )?\((?:0x[0-9a-f]+ )?<SharedFunctionInfo ?(.*?)>\) \(opt (?:id |#)(\d+)\) for deoptimization, reason: (.*)\]$/;
+
+function location(text) {
+  const m = /^<?([^>]*):(\d+):(\d+)>?$/.exec(text);
+  return m ? { file: m[1], line: Number(m[2]), column: Number(m[3]) } : null;
+}
+
+function entry(fields) {
+  return Object.assign({
+    function: '',
+    kind: null,
+    reason: null,
+    bytecodeOffset: null,
+    file: null,
+    line: null,
+    column: null,
+    inlinedAt: [],
+    tier: null,
+    optId: null,
+  }, fields);
+}
+
+/**
+ * Parses --trace-deopt / --trace-deopt-verbose output.
+ * Anything else in the output (the script's own logging) is skipped.
+ */
+function parse(text) {
+  const deopts = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    let m;
+    if ((m = BAILOUT.exec(line))) {
+      current = entry({
+        function: m[3],
+        kind: m[1],
+        reason: m[2],
+        tier: m[4] ? m[4].toLowerCase() : null,
+        optId: Number(m[5]),
+        bytecodeOffset: Number(m[6]),
+      });
+      deopts.push(current);
+    } else if ((m = OLD_BAILOUT.exec(line))) {
+      current = entry({ function: m[2], kind: m[1], optId: Number(m[3]), tier: 'turbofan' });
+      deopts.push(current);
+    } else if ((m = MARKING.exec(line))) {
+      current = null;
+      deopts.push(entry({
+        function: m[2],
+        kind: 'invalidated',
+        reason: m[4],
+        tier: m[1] ? m[1].toLowerCase() : null,
+        optId: Number(m[3]),
+      }));
+    } else if (current && (m = LOCATION.exec(line))) {
+      Object.assign(current, { file: m[1], line: Number(m[2]), column: Number(m[3]) });
+      current.inlinedAt = (m[4].match(/<[^>]*>/g) || []).map(location).filter(Boolean);
+      // Old format has the reason here instead of in the header
+      if (current.reason === null && m[5]) current.reason = m[5];
+    } else if (current && current.bytecodeOffset === null && (m = INPUT_FRAME.exec(line))) {
+      current.bytecodeOffset = Number(m[1]);
+    } else if (/^\[bailout end/.test(line)) {
+      current = null;
+    }
+  }
+  return deopts;
+}
+
+/**
+ * Runs `script` with deopt tracing and returns the parsed entries.
+ * Options: node (binary), flags (extra V8 flags), args, timeout (ms).
+ */
+function trace(script, options = {}) {
+  const node = options.node || process.execPath;
+  const file = path.resolve(script);
+  const traceFlag = supportsFlags(['--trace-deopt-verbose'], node) ? '--trace-deopt-verbose' : '--trace-deopt';
+
+  const child = spawnSync(node, [
+    traceFlag,
+    ...(options.flags || []),
+    file,
+    ...(options.args || []),
+  ], {
+    cwd: path.dirname(file),
+    encoding: 'utf8',
+    maxBuffer: 512 * 1024 * 1024,
+    timeout: options.timeout,
+  });
+  if (child.error) throw child.error;
+  if (child.status !== 0) {
+    const stderr = child.stderr.trim().split('\n').slice(0, 5).join('\n');
+    throw new Error(`${script} exited with ${child.status}:\n${stderr}`);
+  }
+  return parse(child.stdout);
+}
+
+module.exports = {
+  trace,
+  parse,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Line diff (longest common subsequence).
+ *
+ * diff(a, b) aligns two arrays and returns one entry per row:
+ *   { op: ' ', a, b }   same in both
+ *   { op: '-', a }      only in a
+ *   { op: '+', b }      only in b
+ *
+ * Listings here are a few hundred lines at most, so the O(n*m) table is fine.
+ */
+
+function diff(a, b, equal = (x, y) => x === y) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = equal(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equal(a[i], b[j])) rows.push({ op: ' ', a: a[i++], b: b[j++] });
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) rows.push({ op: '-', a: a[i++] });
+    else rows.push({ op: '+', b: b[j++] });
+  }
+  while (i < n) rows.push({ op: '-', a: a[i++] });
+  while (j < m) rows.push({ op: '+', b: b[j++] });
+  return rows;
+}
+
+module.exports = { diff };
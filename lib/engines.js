@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * JavaScript engines installed on this machine, and how to run a script
+ * in each of them.
+ *
+ *   node          node, or a version from nvm (node=22)
+ *   bun           bun <script>
+ *   deno          deno run -A, through node:module createRequire
+ *   d8            V8's shell          (d8, v8)
+ *   jsc           JavaScriptCore      (jsc, javascriptcore)
+ *   spidermonkey  SpiderMonkey        (sm, spidermonkey, js)
+ *
+ * Binaries are looked up on PATH and in ~/.jsvu/bin and ~/.esvu/bin, where
+ * jsvu and esvu install the engine shells. The shells get lib/prelude.js
+ * first, which stands in for the Node APIs the experiments use. Every run
+ * has BENCH_JSON=1, so lib/bench.js cases come back as records.
+ *
+ * Usage:
+ *   const engines = require('../lib/engines');
+ *   for (const e of engines.detect()) {
+ *     const run = engines.run(e, 'v8-proxy/bench.js');
+ *     run.records  // [{ experiment, case, median, env, ... }]
+ *   }
+ *   engines.detect({ d8: '/opt/v8/out/x64.release/d8', node: '22' })
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runScript, parseRecords, resolveNode, experimentId } = require('./runner');
+
+const PRELUDE = path.join(__dirname, 'prelude.js');
+
+const ENGINES = [
+  { name: 'node', kind: 'node', bins: ['node'] },
+  { name: 'bun', kind: 'bun', bins: ['bun'] },
+  { name: 'deno', kind: 'deno', bins: ['deno'] },
+  { name: 'd8', kind: 'shell', bins: ['d8', 'v8'] },
+  { name: 'jsc', kind: 'shell', bins: ['jsc', 'javascriptcore'] },
+  { name: 'spidermonkey', kind: 'shell', bins: ['sm', 'spidermonkey', 'js'] },
+];
+
+function getEngine(name) {
+  const engine = ENGINES.find((e) => e.name === name || e.bins.includes(name));
+  if (!engine) throw new Error(`Unknown engine "${name}" (known: ${ENGINES.map((e) => e.name).join(', ')})`);
+  return engine;
+}
+
+function searchPath() {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.concat(['.jsvu', '.esvu'].map((d) => path.join(os.homedir(), d, 'bin')));
+}
+
+function which(bins) {
+  for (const dir of searchPath()) {
+    for (const bin of bins) {
+      const file = path.join(dir, bin);
+      try {
+        fs.accessSync(file, fs.constants.X_OK);
+        if (fs.statSync(file).isFile()) return file;
+      } catch (e) {
+        // not here
+      }
+    }
+  }
+  return null;
+}
+
+function tempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'engines-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function removeTemp(file) {
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+}
+
+function firstLine(text) {
+  return (text || '').trim().split('\n')[0].trim();
+}
+
+// The version string an engine reports, '' if it does not say
+function version(engine) {
+  if (engine.kind === 'node') return firstLine(spawnSync(engine.bin, ['--version'], { encoding: 'utf8' }).stdout);
+  if (engine.kind === 'bun') return firstLine(spawnSync(engine.bin, ['--version'], { encoding: 'utf8' }).stdout);
+  if (engine.kind === 'deno') {
+    return firstLine(spawnSync(engine.bin, ['--version'], { encoding: 'utf8' }).stdout).replace(/^deno\s+/, '').split(' ')[0];
+  }
+  // jsc has no version(); SpiderMonkey's returns a language version number
+  if (engine.name !== 'd8') return '';
+  const file = tempFile('version.js', "print(typeof version === 'function' ? version() : '');");
+  try {
+    return firstLine(spawnSync(engine.bin, [file], { encoding: 'utf8', timeout: 10000 }).stdout);
+  } finally {
+    removeTemp(file);
+  }
+}
+
+/**
+ * The engines found, in the order above:
+ *   [{ name, kind, bin, version }]
+ * `overrides` maps names to binaries ({ d8: '/path/to/d8' }); node also
+ * takes an nvm version. With `only`, just those engines, and one that is
+ * not installed is an error.
+ */
+function detect(overrides = {}, only = null) {
+  const wanted = only ? only.map(getEngine) : ENGINES;
+  const found = [];
+  for (const e of wanted) {
+    let bin = overrides[e.name];
+    if (bin) bin = e.kind === 'node' ? resolveNode(bin) : path.resolve(bin);
+    else bin = e.kind === 'node' ? process.execPath : which(e.bins);
+    if (!bin) {
+      if (only) throw new Error(`${e.name} not found (looked for ${e.bins.join(', ')} on PATH and in ~/.jsvu/bin, ~/.esvu/bin)`);
+      continue;
+    }
+    const engine = Object.assign({}, e, { bin });
+    engine.version = version(engine);
+    found.push(engine);
+  }
+  return found;
+}
+
+function benchEnv(file, env) {
+  return Object.assign({ BENCH_JSON: '1', BENCH_EXPERIMENT: experimentId(file) }, env);
+}
+
+// Bun, Deno and the shells; node goes through runScript
+function spawn(engine, file, options) {
+  const cwd = path.dirname(file);
+  const args = options.args || [];
+  let argv;
+  let entry = null;
+  if (engine.kind === 'bun') {
+    argv = [file, ...args];
+  } else if (engine.kind === 'deno') {
+    // Deno runs .js as ESM; the experiments are CommonJS
+    entry = tempFile('entry.mjs', [
+      "import { createRequire } from 'node:module';",
+      `createRequire(import.meta.url)(${JSON.stringify(file)});`,
+    ].join('\n'));
+    argv = ['run', '-A', '--quiet', entry, ...args];
+  } else {
+    const host = {
+      engine: engine.name,
+      version: engine.version,
+      main: file,
+      cwd,
+      args,
+      env: benchEnv(file, options.env),
+      platform: process.platform,
+      arch: process.arch,
+    };
+    entry = tempFile('entry.js', [
+      `var __hostEnv = ${JSON.stringify(host)};`,
+      fs.readFileSync(PRELUDE, 'utf8'),
+      `__runMain(${JSON.stringify(file)});`,
+    ].join('\n'));
+    argv = [entry];
+  }
+
+  try {
+    return spawnSync(engine.bin, argv, {
+      cwd,
+      env: Object.assign({}, process.env, benchEnv(file, options.env)),
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', options.quiet ? 'ignore' : 'inherit'],
+      timeout: options.timeout,
+    });
+  } finally {
+    if (entry) removeTemp(entry);
+  }
+}
+
+/**
+ * Runs a script in one engine. Returns
+ *   { status, signal, error, stdout, records }
+ * Options: args, env, quiet, timeout (ms), as for runScript. Runs have
+ * BENCH_JSON=1, so lib/bench.js sends console.log to console.error: the
+ * script's output is on stderr, and on stdout next to the records only
+ * in a shell with no stderr (print() but no printErr, see lib/prelude.js);
+ * parseRecords() skips it there.
+ */
+function run(engine, script, options = {}) {
+  const file = path.resolve(script);
+  if (engine.kind === 'node') return runScript(file, Object.assign({}, options, { node: engine.bin }));
+
+  const child = spawn(engine, file, options);
+  return {
+    status: child.status,
+    signal: child.signal,
+    error: child.error,
+    stdout: child.stdout || '',
+    records: parseRecords(child.stdout || ''),
+  };
+}
+
+module.exports = {
+  ENGINES,
+  PRELUDE,
+  getEngine,
+  detect,
+  run,
+};
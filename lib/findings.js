@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Key findings as formulas over measured cases.
+ *
+ * An experiment declares its finding in <dir>/experiment.json:
+ *
+ *   {
+ *     "finding": "SMI **{penalty:%} faster**; overflow/type change triggers TurboFan deopt",
+ *     "values": {
+ *       "penalty": "median('HeapNumber arith') / median('SMI arithmetic') - 1"
+ *     },
+ *     "claims": [
+ *       { "text": "SMI arithmetic is faster than HeapNumber", "holds": "penalty > 0.1" }
+ *     ]
+ *   }
+ *
+ * Formulas are JavaScript expressions. median(case) and mean(case) read
+ * the stored records of the scripts in the folder (ns/op), net(case) the
+ * median minus the harness's empty-loop baseline; p(a, b) is the
+ * Mann-Whitney p-value between the samples of two cases, for claims that
+ * they differ. A large p only says the run couldn't tell them apart, so
+ * "costs the same" is within(a, b, tolerance): the bootstrap 95% interval
+ * of median(b) / median(a) lies inside 1 ± tolerance, as in
+ * within('poly2', 'diffOrder', 0.15). Values can use the values declared
+ * before them, claims can use all of them.
+ *
+ * Placeholders in `finding`: {name} (2 significant digits), {name:x}
+ * ("4.5x"), {name:%} ("40%"), {name:n} ("4.5"), {name:ns} ("2.8 ns").
+ *
+ * The README experiments table is rebuilt between <!-- experiments -->
+ * and <!-- /experiments -->, and every <!-- figures: <dir> --> ...
+ * <!-- /figures --> block in v8-perf-guide.md gets the measured cases and
+ * the claim results. A claim the run contradicts is marked in both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatNs } = require('./bench');
+const { describe } = require('./fingerprint');
+const stats = require('./stats');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Experiment folders with a finding: [{ dir, finding, values, claims }]
+ */
+function declarations(root = ROOT) {
+  return fs.readdirSync(root).sort()
+    .filter((dir) => fs.existsSync(path.join(root, dir, 'experiment.json')))
+    .map((dir) => Object.assign({ dir }, JSON.parse(fs.readFileSync(path.join(root, dir, 'experiment.json'), 'utf8'))))
+    .filter((decl) => decl.finding);
+}
+
+function evaluate(expr, scope) {
+  const names = Object.keys(scope);
+  return new Function(...names, `return (${expr});`)(...names.map((n) => scope[n]));
+}
+
+/**
+ * Evaluates a declaration against the records of one run. Returns
+ *   { values: { name: number }, claims: [{ text, holds }], cases: [label], error }
+ * `cases` are the labels the formulas read, in order; `error` is set
+ * (and values left out) when a case is missing from the run.
+ */
+function check(decl, records) {
+  const byCase = new Map();
+  for (const r of records) byCase.set(r.case, r);
+  const cases = [];
+
+  const read = (field) => (label) => {
+    const r = byCase.get(label);
+    if (!r) throw new Error(`no case "${label}"`);
+    if (!cases.includes(label)) cases.push(label);
+    return r[field];
+  };
+  const samples = read('samples');
+  const scope = {
+    median: read('median'),
+    mean: read('mean'),
+    net: read('net'),
+    p: (a, b) => stats.mannWhitney(samples(a), samples(b)).p,
+    within: (a, b, tolerance) => {
+      const [lo, hi] = stats.bootstrapRatio(samples(a), samples(b));
+      return lo >= 1 - tolerance && hi <= 1 + tolerance;
+    },
+  };
+
+  const result = { values: {}, claims: [], cases, error: null };
+  try {
+    for (const [name, expr] of Object.entries(decl.values || {})) {
+      result.values[name] = evaluate(expr, scope);
+      scope[name] = result.values[name];
+    }
+    for (const claim of decl.claims || []) {
+      result.claims.push({ text: claim.text, expr: claim.holds, holds: Boolean(evaluate(claim.holds, scope)) });
+    }
+  } catch (e) {
+    result.error = e.message;
+  }
+  return result;
+}
+
+// Rounds half up at `digits` decimals. toFixed() rounds the binary value,
+// which puts 0.85 (0.84999...) at 0.8.
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return (Math.round(Number((value * scale).toPrecision(12))) / scale).toFixed(digits);
+}
+
+function formatValue(value, spec) {
+  if (typeof value !== 'number' || !isFinite(value)) return '?';
+  const trim = (s) => s.replace(/\.0$/, '');
+  switch (spec) {
+    case 'x': return `${trim(round(value, value < 10 ? 1 : 0))}x`;
+    case '%': return `${round(value * 100, 0)}%`;
+    case 'n': return trim(round(value, value < 10 ? 1 : 0));
+    case 'ns': return `${formatNs(value)} ns`;
+    default: return String(Number(value.toPrecision(2)));
+  }
+}
+
+function render(template, values) {
+  return template.replace(/\{(\w+)(?::(\w+|%))?\}/g, (all, name, spec) =>
+    (name in values ? formatValue(values[name], spec) : all));
+}
+
+// The claims a run contradicts, for the README cell
+function contradicted(result, records) {
+  const failed = result.claims.filter((c) => !c.holds);
+  if (!failed.length) return '';
+  const node = ((records[0] && records[0].env) || {}).node;
+  return ` ⚠ *not reproduced on Node ${node}: ${failed.map((c) => c.text).join('; ')}*`;
+}
+
+/**
+ * Rewrites the experiments table. `checked` maps dir -> { decl, result, records };
+ * rows of other experiments are left as they are.
+ */
+function updateReadme(text, checked) {
+  const m = /(<!-- experiments -->\n)([\s\S]*?)(<!-- \/experiments -->)/.exec(text);
+  if (!m) throw new Error('README.md has no <!-- experiments --> block');
+
+  const rows = m[2].split('\n').map((line) => {
+    const cells = /^\| `([^`]+)` \| (.*?) \| (.*) \|$/.exec(line);
+    const entry = cells && checked.get(cells[1]);
+    if (!entry || entry.result.error) return line;
+    const finding = render(entry.decl.finding, entry.result.values) + contradicted(entry.result, entry.records);
+    return `| \`${cells[1]}\` | ${cells[2]} | ${finding} |`;
+  });
+  return text.slice(0, m.index) + m[1] + rows.join('\n') + m[3] + text.slice(m.index + m[0].length);
+}
+
+function figures(entry) {
+  const { result, records, run } = entry;
+  // The cases the finding reads, in the order the script measured them;
+  // the first is the reference for the ratio column
+  const used = records.filter((r) => result.cases.includes(r.case));
+  const reference = used[0];
+  const lines = ['| Case | ns/op | ratio |', '|---|---:|---:|'];
+  for (const r of used) {
+    lines.push(`| ${r.case} | ${formatNs(r.median)} | ${formatValue(r.median / reference.median, 'x')} |`);
+  }
+  lines.push('');
+  lines.push(`${describe(records[0].env || {})}; run \`${run}\`:`);
+  for (const c of result.claims) {
+    lines.push(`- ${c.holds ? '✓' : '⚠ **not reproduced:**'} ${c.text} (\`${c.expr}\`)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fills every <!-- figures: <dir> --> block of the perf guide that has
+ * results; blocks without results are left as they are.
+ */
+function updateGuide(text, checked) {
+  return text.replace(/(<!-- figures: ([\w-]+) -->\n)([\s\S]*?)(<!-- \/figures -->)/g, (all, open, dir, body, close) => {
+    const entry = checked.get(dir);
+    if (!entry || entry.result.error) return all;
+    return `${open}${figures(entry)}\n${close}`;
+  });
+}
+
+module.exports = {
+  declarations,
+  check,
+  render,
+  formatValue,
+  updateReadme,
+  updateGuide,
+};
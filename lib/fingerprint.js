@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Environment fingerprint: what a number was measured on.
+ *
+ * Attached to every bench record as `env`, so that a result can be traced
+ * back to the machine, the Node/V8 build and the flags it came from:
+ *
+ *   {
+ *     engine: { name: 'node', version: 'v20.19.5' },
+ *     node: 'v20.19.5', v8: '11.3.244.8-node.30', arch: 'x64', platform: 'linux',
+ *     os: 'Linux 6.1.0', endianness: 'LE',
+ *     cpu: { model: 'Apple M2', cores: 8, speed: 3504, governor: 'performance' },
+ *     memory: { total: 17179869184, heapLimit: 4345298944 },
+ *     flags: ['--allow-natives-syntax'],   // execArgv and NODE_OPTIONS
+ *     pinned: '2',                         // CPUs the process may use, if fewer than all
+ *   }
+ *
+ * cpu.speed is the MHz os.cpus() reports (0 on some VMs); governor and
+ * pinned are Linux only and null elsewhere or when unknown. Under Bun,
+ * Deno or a shell with lib/prelude.js, engine names that runtime and
+ * node is whatever it reports as process.version.
+ *
+ * Usage:
+ *   const { fingerprint, describe } = require('../lib/fingerprint');
+ *   describe(fingerprint())  // 'Node v20.19.5 (V8 11.3.244.8-node.30), linux x64, ...'
+ *   probe('/path/to/node', ['--no-opt'])  // the fingerprint of another node binary
+ */
+
+const fs = require('fs');
+const os = require('os');
+const v8 = require('v8');
+const { spawnSync } = require('child_process');
+
+function read(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// '0-3,6' -> 5
+function countCpus(list) {
+  let n = 0;
+  for (const part of list.split(',')) {
+    const [lo, hi] = part.split('-').map(Number);
+    n += hi === undefined ? 1 : hi - lo + 1;
+  }
+  return n;
+}
+
+// The CPUs this process is restricted to (taskset, cpuset), or null
+function pinned() {
+  const status = read('/proc/self/status');
+  const online = read('/sys/devices/system/cpu/online');
+  const m = status && /^Cpus_allowed_list:\s*(\S+)/m.exec(status);
+  if (!m || !online) return null;
+  return countCpus(m[1]) < countCpus(online) ? m[1] : null;
+}
+
+const EVAL = new Set(['-e', '--eval', '-p', '--print']);
+
+// execArgv without the code of `node -e` / `node -p`, then NODE_OPTIONS
+function nodeFlags() {
+  const flags = [];
+  for (let i = 0; i < process.execArgv.length; i++) {
+    if (EVAL.has(process.execArgv[i])) i++;
+    else flags.push(process.execArgv[i]);
+  }
+  const options = (process.env.NODE_OPTIONS || '').split(/\s+/).filter(Boolean);
+  return flags.concat(options);
+}
+
+// Bun and Deno emulate process; the shell prelude sets release.name
+function engine() {
+  const versions = process.versions || {};
+  if (versions.bun) return { name: 'bun', version: versions.bun };
+  if (versions.deno) return { name: 'deno', version: versions.deno };
+  const name = (process.release && process.release.name) || 'node';
+  return { name, version: process.version };
+}
+
+let cached = null;
+
+function fingerprint() {
+  if (cached) return cached;
+  const cpus = os.cpus();
+  cached = {
+    engine: engine(),
+    node: process.version,
+    v8: process.versions.v8,
+    arch: process.arch,
+    platform: process.platform,
+    os: `${os.type()} ${os.release()}`,
+    endianness: os.endianness(),
+    cpu: {
+      model: cpus.length ? cpus[0].model.trim() : null,
+      cores: cpus.length,
+      speed: cpus.length ? cpus[0].speed : null,
+      governor: read('/sys/devices/system/cpu/cpu0/cpufreq/scaling_governor'),
+    },
+    memory: {
+      total: os.totalmem(),
+      heapLimit: v8.getHeapStatistics().heap_size_limit,
+    },
+    flags: nodeFlags(),
+    pinned: pinned(),
+  };
+  return cached;
+}
+
+function gb(bytes) {
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1).replace(/\.0$/, '')} GB`;
+}
+
+/**
+ * One line for report headers:
+ *   Node v20.19.5 (V8 11.3.244.8-node.30), linux x64, Intel(R) Xeon(R) x4 @ 2900 MHz,
+ *   governor performance, 16 GB, pinned to 2, flags --no-opt
+ * Records written before fingerprints existed only have node/v8/arch/platform.
+ * Other engines lead with their own name: 'd8 12.4.254, linux x64, ...'.
+ */
+function describe(env) {
+  const other = env.engine && env.engine.name !== 'node';
+  const parts = [
+    other ? `${env.engine.name} ${env.engine.version}${env.v8 && env.v8 !== env.engine.version ? ` (V8 ${env.v8})` : ''}` : `Node ${env.node} (V8 ${env.v8})`,
+    `${env.platform} ${env.arch}`,
+  ];
+  if (env.cpu && env.cpu.model) {
+    parts.push(`${env.cpu.model} x${env.cpu.cores}${env.cpu.speed ? ` @ ${env.cpu.speed} MHz` : ''}`);
+    if (env.cpu.governor) parts.push(`governor ${env.cpu.governor}`);
+  }
+  if (env.memory && env.memory.total) parts.push(gb(env.memory.total));
+  if (env.pinned) parts.push(`pinned to ${env.pinned}`);
+  if (env.flags && env.flags.length) parts.push(`flags ${env.flags.join(' ')}`);
+  return parts.join(', ');
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, `${prefix}${key}.`, out);
+    else out[prefix + key] = Array.isArray(value) ? value.join(' ') : value;
+  }
+  return out;
+}
+
+/**
+ * Fields that differ between two fingerprints:
+ *   [{ key: 'cpu.model', a: 'Apple M2', b: 'AMD EPYC 7763' }]
+ */
+function differences(a, b) {
+  const fa = flatten(a);
+  const fb = flatten(b);
+  const keys = [...new Set(Object.keys(fa).concat(Object.keys(fb)))];
+  return keys
+    .filter((key) => fa[key] !== fb[key])
+    .map((key) => ({ key, a: fa[key] === undefined ? null : fa[key], b: fb[key] === undefined ? null : fb[key] }));
+}
+
+/**
+ * The fingerprint of another node binary, started with `flags`.
+ */
+function probe(node, flags = []) {
+  const child = spawnSync(node, [
+    ...flags,
+    '-e',
+    `console.log(JSON.stringify(require(${JSON.stringify(__filename)}).fingerprint()))`,
+  ], { encoding: 'utf8' });
+  if (child.status !== 0) {
+    throw new Error(`${node} ${flags.join(' ')} failed: ${(child.stderr || '').trim().split('\n')[0]}`);
+  }
+  return JSON.parse(child.stdout);
+}
+
+module.exports = {
+  fingerprint,
+  describe,
+  differences,
+  probe,
+};
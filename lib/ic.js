@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Inline cache states from V8's IC log.
+ *
+ * trace() runs a script with --log-ic and --log-maps (--trace-ic and
+ * --trace-maps on Node <= 14), and parse() groups the IC events by
+ * property access site:
+ *
+ *   {
+ *     function: 'readX',
+ *     file, line, column,            // position of the access in the source
+ *     type: 'LoadIC',                // LoadIC, KeyedLoadIC, StoreIC, ...
+ *     key: 'x',
+ *     states: ['0', '1', 'P', 'N'],  // every state the site went through
+ *     maps: [{ address, description: '{p0, p1, x}' }],
+ *     megamorphicAt: 5,              // maps seen when it went megamorphic
+ *     events: [{ from, to, map, modifier, slowReason }],
+ *   }
+ *
+ * States: 0 uninitialized, 1 monomorphic, P polymorphic, N megamorphic,
+ * ^ recompute handler, G generic, X no feedback (cold code that has no
+ * feedback vector yet).
+ *
+ * Feedback vectors are normally allocated after a function has run a few
+ * times, and accesses before that are not recorded. trace() passes
+ * --no-lazy-feedback-allocation so the first maps show up too.
+ *
+ * transitions() reads the same boundaries off timings instead of the
+ * log: given ns/op by shape count, it fits a step function and returns
+ * the counts where access gets more expensive.
+ *
+ * Usage:
+ *   const { trace, transitions, STATE_NAMES } = require('../lib/ic');
+ *   const sites = trace('v8-hidden-classes/shape-transition.js');
+ *   sites.find((s) => s.function === 'readXMega' && s.key === 'x').states  // ['0', '1', 'P', 'N']
+ *   transitions([{ shapes: 1, ns: 2.8 }, { shapes: 2, ns: 8.4 }, ...])
+ *   // { monoPoly: 2, polyMega: 5, levels: [2.8, 8.5, 13.1], steps: [{ at: 2, ratio: 3.04 }, ...] }
+ */
+
+const { run, codeMap, fields, isNodeCode } = require('./v8-log');
+const { parseDetails, describe } = require('./maps');
+const { supportsFlags } = require('./runner');
+const { stepFit } = require('./stats');
+
+// A fitted step smaller than this ratio is noise, not a transition
+const MIN_STEP = 1.15;
+
+// Levels tried at most: mono, poly, mega, and one more for megamorphic
+// lookups that get slower again as the stub cache fills
+const MAX_LEVELS = 4;
+
+const STATE_NAMES = {
+  '0': 'uninitialized',
+  '.': 'premonomorphic',
+  '1': 'monomorphic',
+  '^': 'recompute handler',
+  'P': 'polymorphic',
+  'N': 'megamorphic',
+  'D': 'megadom',
+  'G': 'generic',
+  'X': 'no feedback',
+};
+
+const IC_EVENTS = new Set([
+  'LoadIC', 'KeyedLoadIC', 'LoadGlobalIC', 'StoreIC', 'KeyedStoreIC',
+  'StoreGlobalIC', 'StoreInArrayLiteralIC', 'DefineKeyedOwnIC', 'DefineNamedOwnIC',
+]);
+
+/**
+ * Parses a V8 log written with --log-ic (and optionally --log-maps).
+ * Sites in node's own code are dropped unless options.all is set.
+ */
+function parse(text, options = {}) {
+  const code = codeMap();
+  const maps = new Map();      // map address -> description
+  const sites = new Map();     // site id -> its latest entry in `result`
+  const result = [];
+
+  for (const line of text.split('\n')) {
+    const f = fields(line);
+    if (code.track(f)) continue;
+
+    if (f[0] === 'map-details') {
+      maps.set(f[2], describe(parseDetails(f.slice(3).join(','))));
+    } else if (IC_EVENTS.has(f[0])) {
+      // type,pc,time,line,column,old_state,new_state,map,key,modifier,slow_reason
+      // (no time field on Node <= 14)
+      if (f.length === 10) f.splice(2, 0, '');
+      const [type, pc, , lineNo, column, from, to, map, key, modifier, slowReason] = f;
+      const fn = code.at(pc);
+      if (!options.all && isNodeCode(fn)) continue;
+
+      // Closures of one function share its code but not their feedback. An
+      // uninitialized IC at a known site is a fresh closure (new Function,
+      // or a factory called again), so it starts a site of its own.
+      const id = `${fn ? fn.sfi : pc}:${lineNo}:${column}:${type}:${key}`;
+      let site = sites.get(id);
+      if (!site || (from === '0' && site.events.length)) {
+        site = {
+          function: fn ? fn.name : '',
+          file: fn ? fn.file : '',
+          line: Number(lineNo),
+          column: Number(column),
+          type,
+          key,
+          states: [from],
+          maps: [],
+          megamorphicAt: null,
+          events: [],
+        };
+        sites.set(id, site);
+        result.push(site);
+      }
+      if (site.states[site.states.length - 1] !== to) site.states.push(to);
+      if (/^0x0*[1-9a-f]/.test(map) && !site.maps.some((m) => m.address === map)) {
+        site.maps.push({ address: map, description: maps.get(map) || null });
+      }
+      if (to === 'N' && site.megamorphicAt === null) site.megamorphicAt = site.maps.length;
+      site.events.push({ from, to, map, modifier: modifier || null, slowReason: slowReason || null });
+    }
+  }
+  return result;
+}
+
+/**
+ * Runs `script` with IC logging and returns the parsed sites.
+ * Options: node (binary), flags (extra V8 flags), args, timeout (ms),
+ * all (keep node's own sites).
+ */
+function trace(script, options = {}) {
+  const node = options.node || process.execPath;
+  const icFlag = supportsFlags(['--log-ic'], node) ? '--log-ic' : '--trace-ic';
+  const mapFlag = supportsFlags(['--log-maps'], node) ? '--log-maps' : '--trace-maps';
+  const logFlags = [icFlag, mapFlag, '--no-lazy-feedback-allocation'].filter((f) => supportsFlags([f], node));
+  return parse(run(script, logFlags, options), options);
+}
+
+/**
+ * Fits a step function to a shape-count sweep that starts at one shape,
+ * [{ shapes, ns }], and returns
+ *   { monoPoly, polyMega, levels, steps }
+ * The fit (on log(ns), so steps are found by their ratio) uses as many
+ * levels as it can, up to `maxLevels` (4), with every step up at least
+ * `minStep` (1.15x). steps are all of them, [{ at, ratio }], `at` being
+ * the first shape count on the higher level; levels are ns/op, the
+ * geometric mean of each level.
+ *
+ * One shape is the monomorphic case, so monoPoly is the first step only
+ * when one shape is a level of its own; when it costs the same as a few
+ * (TurboFan checks a handful of maps inline), monoPoly is null. polyMega
+ * is the largest of the other steps. Either is null when there is no
+ * such step.
+ */
+function transitions(points, options = {}) {
+  const minStep = options.minStep || MIN_STEP;
+  const sorted = points.slice().sort((a, b) => a.shapes - b.shapes);
+  if (sorted.length < 3) throw new Error(`transitions: need 3 shape counts or more, got ${sorted.length}`);
+  const xs = sorted.map((p) => p.shapes);
+  const ys = sorted.map((p) => Math.log(p.ns));
+
+  let fit;
+  for (let k = Math.min(options.maxLevels || MAX_LEVELS, sorted.length); k >= 1; k--) {
+    fit = stepFit(xs, ys, k);
+    if (fit.levels.every((level, i) => i === 0 || level - fit.levels[i - 1] >= Math.log(minStep))) break;
+  }
+
+  const levels = fit.levels.map(Math.exp);
+  const steps = fit.breaks.map((at, i) => ({ at, ratio: levels[i + 1] / levels[i] }));
+  const monoAlone = fit.breaks[0] === xs[1];
+  const rest = steps.slice(monoAlone ? 1 : 0);
+  const mega = rest.reduce((a, b) => (b.ratio > a.ratio ? b : a), rest[0]);
+  return {
+    monoPoly: monoAlone ? steps[0].at : null,
+    polyMega: mega ? mega.at : null,
+    levels,
+    steps,
+  };
+}
+
+module.exports = {
+  trace,
+  parse,
+  transitions,
+  STATE_NAMES,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Experiment manifests: how to run the scripts of a folder.
+ *
+ * Each experiment folder has an experiment.json (the same file that holds
+ * the key finding, see lib/findings.js):
+ *
+ *   {
+ *     "what": "SMI vs HeapNumber, type deoptimization",
+ *     "tags": ["numbers", "deopt", "bench"],
+ *     "scripts": [
+ *       { "file": "perf-test.js", "runtime": 3 },
+ *       { "file": "deopt-trace.js", "flags": ["--trace-deopt"] },
+ *       { "file": "smi-heap-transition.js", "bytecode": ["smiOp", "heapOp"] }
+ *     ]
+ *   }
+ *
+ * Script fields:
+ *   file      path relative to the folder
+ *   label     tells runs of one file apart ("no TurboFan" for --no-opt)
+ *   flags     node/V8 flags the script needs
+ *   natives   true if it uses %Intrinsics (adds --allow-natives-syntax)
+ *   bytecode  function names; the script runs with --print-bytecode once
+ *             per name, filtered to that function
+ *   runtime   expected seconds (default 1)
+ *   manual    why it is not run by --all or --tag (needs a token, a
+ *             browser, ...); it still runs when named explicitly
+ *
+ * Usage:
+ *   const manifest = require('../lib/manifest');
+ *   for (const m of manifest.select(manifest.all(), { tag: 'closures' })) {
+ *     for (const s of m.scripts) console.log(manifest.invocations(m, s).map((i) => i.command));
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const FILE = 'experiment.json';
+const SKIP_DIRS = new Set(['node_modules', 'lib', 'tools', 'results']);
+
+function normalize(dir, json) {
+  return {
+    dir,
+    what: json.what || '',
+    tags: json.tags || [],
+    scripts: (json.scripts || []).map((s) => ({
+      file: s.file,
+      label: s.label || null,
+      flags: s.flags || [],
+      natives: Boolean(s.natives),
+      bytecode: s.bytecode || null,
+      runtime: s.runtime === undefined ? 1 : s.runtime,
+      manual: s.manual || null,
+    })),
+  };
+}
+
+// The manifest of one folder, or null if it has none
+function load(dir, root = ROOT) {
+  const file = path.join(root, dir, FILE);
+  if (!fs.existsSync(file)) return null;
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${dir}/${FILE}: ${e.message}`);
+  }
+  const m = normalize(dir, json);
+  for (const s of m.scripts) {
+    if (!s.file) throw new Error(`${dir}/${FILE}: script without "file"`);
+    if (!fs.existsSync(path.join(root, dir, s.file))) throw new Error(`${dir}/${FILE}: no such script ${s.file}`);
+  }
+  return m;
+}
+
+// Experiment folders, with or without a manifest
+function folders(root = ROOT) {
+  return fs.readdirSync(root).sort().filter((entry) =>
+    !entry.startsWith('.') && !SKIP_DIRS.has(entry) && fs.statSync(path.join(root, entry)).isDirectory());
+}
+
+// Every manifest in the repo, by folder name
+function all(root = ROOT) {
+  return folders(root).map((dir) => load(dir, root)).filter(Boolean);
+}
+
+/**
+ * Narrows manifests to what a command line asked for:
+ *   names  folders ('v8-proxy') or scripts ('v8-smi-deopt/perf-test.js')
+ *   tag    only folders with this tag
+ * Manual scripts are dropped unless named as scripts. Folders left with
+ * no scripts are dropped.
+ */
+function select(manifests, options = {}) {
+  const names = (options.names || []).map((n) => n.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, ''));
+  const out = [];
+  for (const m of manifests) {
+    if (options.tag && !m.tags.includes(options.tag)) continue;
+    let scripts = m.scripts;
+    if (names.length) {
+      if (names.includes(m.dir)) {
+        scripts = scripts.filter((s) => !s.manual);
+      } else {
+        scripts = scripts.filter((s) => names.includes(`${m.dir}/${s.file}`));
+      }
+    } else {
+      scripts = scripts.filter((s) => !s.manual);
+    }
+    if (scripts.length) out.push(Object.assign({}, m, { scripts }));
+  }
+  return out;
+}
+
+/**
+ * The node invocations for one script, in order: one, or one per
+ * function for bytecode scripts.
+ *   [{ flags, file, command }]
+ * `command` is the line to type in the folder.
+ */
+function invocations(m, script) {
+  const flags = [...script.flags];
+  if (script.natives && !flags.includes('--allow-natives-syntax')) flags.unshift('--allow-natives-syntax');
+  const file = path.join(ROOT, m.dir, script.file);
+  const line = (f) => ['node', ...f, script.file].join(' ');
+
+  if (!script.bytecode) return [{ flags, file, command: line(flags) }];
+  return script.bytecode.map((name) => {
+    const f = ['--print-bytecode', `--print-bytecode-filter=${name}`, ...flags];
+    return { flags: f, file, command: line(f) };
+  });
+}
+
+module.exports = {
+  FILE,
+  load,
+  all,
+  folders,
+  select,
+  invocations,
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * Map (hidden class) transition trees from V8's map log.
+ *
+ * trace() runs a script with --log-maps (--trace-maps on Node <= 14). The
+ * log has a map-details record per map (the same dump %DebugPrint gives)
+ * and one event per transition, deprecation and normalization. parse()
+ * rebuilds the trees from them:
+ *
+ *   {
+ *     address: '0x3a1b66e50b81',
+ *     details: { type, instanceSize, inobject, elementsKind, properties: ['x'],
+ *                constructor: 'ShapeA', backPointer, dictionary, deprecated },
+ *     edge: { reason: 'Transition', name: 'x', detail: '' },  // how it was reached
+ *     parent, children: [...],
+ *     deprecated: false,   // a field changed representation; instances migrate off it
+ *     dictionary: false,   // slow mode: properties in a hash table
+ *     user: true,          // created by the script rather than by node itself
+ *   }
+ *
+ * Roots are initial maps of constructors (edge null, details.constructor
+ * set) or maps from node's startup snapshot, such as the one for `{}`.
+ *
+ * Usage:
+ *   const { trace, render } = require('../lib/maps');
+ *   const roots = trace('v8-hidden-classes/shape-transition.js').filter((r) => r.name === 'ShapeA');
+ *   console.log(render(roots));
+ */
+
+const { run, codeMap, fields, isNodeCode } = require('./v8-log');
+const { supportsFlags } = require('./runner');
+
+// Property names from a map-details dump:
+//   [0]: 0x.. [String] in ReadOnlySpace: #x (const data field 0:s, p: 1, attrs: [WEC]) @ Any
+function parseDetails(text) {
+  const get = (re) => {
+    const m = re.exec(text);
+    return m ? m[1] : null;
+  };
+  const properties = [];
+  const re = /\[\d+\]: .*?#(\S+) \(/g;
+  let m;
+  while ((m = re.exec(text))) properties.push(m[1]);
+  // Maps along a transition chain share one descriptor array; only the
+  // first `own` entries belong to this map
+  const own = get(/- instance descriptors (?:\(own\) )?#(\d+)/);
+  if (own !== null) properties.length = Math.min(properties.length, Number(own));
+
+  return {
+    type: get(/- type: (\w+)/),
+    instanceSize: Number(get(/- instance size: (\d+)/)),
+    inobject: Number(get(/- inobject properties: (\d+)/)),
+    elementsKind: get(/- elements kind: (\w+)/),
+    properties,
+    constructor: get(/- constructor: .*?<JSFunction (\S*) \(sfi/),
+    backPointer: get(/- back pointer: (0x[0-9a-f]+)/),
+    dictionary: /\bdictionary_map\b/.test(text),
+    deprecated: /\bdeprecated_map\b/.test(text),
+  };
+}
+
+// '{x, y}', 'JS_ARRAY_TYPE {length}', '{dictionary}'
+function describe(details) {
+  if (!details) return '';
+  if (details.dictionary) return '{dictionary}';
+  const prefix = details.type && details.type !== 'JS_OBJECT_TYPE' ? `${details.type} ` : '';
+  return `${prefix}{${details.properties.join(', ')}}`;
+}
+
+function node(address, details) {
+  return {
+    address,
+    name: '',
+    details,
+    edge: null,
+    parent: null,
+    children: [],
+    deprecated: details ? details.deprecated : false,
+    dictionary: details ? details.dictionary : false,
+    user: false,
+  };
+}
+
+const NULL_MAP = /^0x0+$/;
+
+/**
+ * Parses a V8 log written with --log-maps and returns the root maps.
+ * Branches with no map created by the script are dropped unless
+ * options.all is set.
+ */
+function parse(text, options = {}) {
+  const code = codeMap();
+  const maps = new Map();   // address -> the latest map at that address
+  const details = new Map();
+  const roots = [];
+
+  const get = (address) => {
+    if (!maps.has(address)) {
+      const n = node(address, details.get(address) || null);
+      maps.set(address, n);
+      roots.push(n);
+    }
+    return maps.get(address);
+  };
+
+  for (const line of text.split('\n')) {
+    const f = fields(line);
+    if (code.track(f)) continue;
+
+    if (f[0] === 'map-create') {
+      // A new map, possibly at the address of a collected one
+      maps.delete(f[2]);
+      details.delete(f[2]);
+    } else if (f[0] === 'map-details') {
+      details.set(f[2], parseDetails(f.slice(3).join(',')));
+      if (maps.has(f[2])) {
+        const n = maps.get(f[2]);
+        n.details = details.get(f[2]);
+        n.dictionary = n.dictionary || n.details.dictionary;
+      }
+    } else if (f[0] === 'map') {
+      // map,reason,time,from,to,pc,line,column,detail,name
+      const [, reason, , from, to, pc, , , detail, name] = f;
+      const user = !isNodeCode(code.at(pc));
+
+      if (reason === 'Deprecate') {
+        const n = get(from);
+        n.deprecated = true;
+        n.user = n.user || user;
+        continue;
+      }
+      if (NULL_MAP.test(to)) continue;
+
+      if (reason === 'InitialMap' || NULL_MAP.test(from)) {
+        const root = get(to);
+        root.name = name;
+        root.user = root.user || user;
+        continue;
+      }
+
+      const parent = get(from);
+      let child = get(to);
+      if (child.parent || child === parent) {
+        // Shared target (e.g. the cached normalized map): show it once per edge
+        child = node(to, child.details);
+      } else {
+        roots.splice(roots.indexOf(child), 1);
+      }
+      child.parent = parent;
+      child.edge = { reason, name, detail };
+      child.user = user;
+      if (/^Normalize/.test(reason)) child.dictionary = true;
+      parent.children.push(child);
+    }
+  }
+
+  for (const root of roots) {
+    if (!root.name) {
+      const d = root.details || (root.children[0] && root.children[0].details);
+      root.name = (d && d.constructor) || '';
+    }
+  }
+  if (options.all) return roots;
+  return roots.filter(prune);
+}
+
+// Keeps only branches the script touched; true if anything is left
+function prune(n) {
+  n.children = n.children.filter(prune);
+  return n.user || n.children.length > 0;
+}
+
+/**
+ * Runs `script` with map logging and returns the root maps.
+ * Options: node (binary), flags (extra V8 flags), args, timeout (ms),
+ * all (keep node's own maps).
+ */
+function trace(script, options = {}) {
+  const node = options.node || process.execPath;
+  const mapFlag = supportsFlags(['--log-maps'], node) ? '--log-maps' : '--trace-maps';
+  return parse(run(script, [mapFlag], options), options);
+}
+
+function flags(n) {
+  const out = [];
+  if (n.deprecated) out.push('deprecated');
+  if (n.dictionary) out.push('dictionary');
+  return out;
+}
+
+function label(n) {
+  if (!n.edge) return n.name || '(root)';
+  if (n.edge.reason === 'Transition') return `+${n.edge.name}`;
+  return n.edge.detail ? `${n.edge.reason} (${n.edge.detail})` : n.edge.reason;
+}
+
+/**
+ * Renders trees as indented text:
+ *
+ *   ShapeA  0x..a29  {}
+ *   └─ +x  0x..b81  {x}
+ *      ├─ +y  0x..bd9  {x, y}  [deprecated]
+ *      └─ +y  0x..c21  {x, y}
+ */
+function render(roots) {
+  const lines = [];
+  const walk = (n, prefix, childPrefix) => {
+    const parts = [label(n), n.address, n.dictionary ? '' : describe(n.details), ...flags(n).map((t) => `[${t}]`)];
+    lines.push(prefix + parts.filter(Boolean).join('  '));
+    n.children.forEach((c, i) => {
+      const last = i === n.children.length - 1;
+      walk(c, childPrefix + (last ? '└─ ' : '├─ '), childPrefix + (last ? '   ' : '│  '));
+    });
+  };
+  for (const root of roots) {
+    walk(root, '', '');
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Renders trees as a Graphviz digraph. Deprecated maps are dashed,
+ * dictionary maps filled red.
+ */
+function dot(roots) {
+  const lines = ['digraph maps {', '  rankdir=LR;', '  node [shape=box, fontname="monospace"];'];
+  const quote = (parts) => `"${parts.map((s) => s.replace(/["\\]/g, '\\$&')).join('\\n')}"`;
+  let id = 0;
+  const walk = (n) => {
+    const name = `m${id++}`;
+    const attrs = [];
+    const style = [];
+    if (n.deprecated) {
+      style.push('dashed');
+      attrs.push('color=gray50', 'fontcolor=gray50');
+    }
+    if (n.dictionary) {
+      style.push('filled');
+      attrs.push('fillcolor="#f4cccc"');
+    }
+    if (style.length) attrs.unshift(`style="${style.join(',')}"`);
+    const text = [n.edge ? n.address : `${n.name || '(root)'}  ${n.address}`, n.dictionary ? 'dictionary' : describe(n.details)];
+    if (n.deprecated) text.push('deprecated');
+    lines.push(`  ${name} [${[`label=${quote(text.filter(Boolean))}`, ...attrs].join(', ')}];`);
+    for (const c of n.children) {
+      const child = walk(c);
+      lines.push(`  ${name} -> ${child} [label=${quote([label(c)])}];`);
+    }
+    return name;
+  };
+  roots.forEach(walk);
+  lines.push('}');
+  return lines.join('\n');
+}
+
+module.exports = {
+  trace,
+  parse,
+  parseDetails,
+  describe,
+  render,
+  dot,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Allocation and GC accounting for a stretch of code.
+ *
+ * Bytes allocated are not counted by V8 directly, so they are rebuilt from
+ * the heap: the growth of the used heap between start and stop, plus what
+ * every GC in between freed. GCs come from v8.GCProfiler, which reports
+ * each collection synchronously with its type, pause (cost) and heap
+ * statistics before and after; a PerformanceObserver on 'gc' entries only
+ * delivers them after the current task, too late for a synchronous
+ * benchmark. GCProfiler needs Node 18.15 or newer; on older versions
+ * track() returns null.
+ *
+ *   {
+ *     bytes: 48000000,     // allocated between start and stop
+ *     bytesPerOp: 48,
+ *     gcs: 3,              // collections, by type in gcTypes
+ *     gcTypes: { Scavenge: 3 },
+ *     gcPause: 1.2,        // ms spent in those collections
+ *   }
+ *
+ * Usage:
+ *   const memory = require('../lib/memory');
+ *   const t = memory.track();
+ *   run();
+ *   t.stop(ops)  // { bytes, bytesPerOp, gcs, gcTypes, gcPause }
+ */
+
+const v8 = require('v8');
+
+const available = typeof v8.GCProfiler === 'function';
+
+function usedHeap() {
+  return v8.getHeapStatistics().used_heap_size;
+}
+
+function track() {
+  if (!available) return null;
+  const profiler = new v8.GCProfiler();
+  profiler.start();
+  const start = usedHeap();
+
+  return {
+    stop(ops = 1) {
+      const end = usedHeap();
+      const { statistics } = profiler.stop();
+      let freed = 0;
+      let pause = 0;
+      const gcTypes = {};
+      for (const gc of statistics) {
+        freed += Math.max(0, gc.beforeGC.heapStatistics.usedHeapSize - gc.afterGC.heapStatistics.usedHeapSize);
+        pause += gc.cost;
+        gcTypes[gc.gcType] = (gcTypes[gc.gcType] || 0) + 1;
+      }
+      const bytes = Math.max(0, end - start + freed);
+      return {
+        bytes,
+        bytesPerOp: bytes / ops,
+        gcs: statistics.length,
+        gcTypes,
+        gcPause: pause / 1000, // cost is in microseconds
+      };
+    },
+  };
+}
+
+// 48 -> '48 B', 1536 -> '1.5 KB'
+function formatBytes(bytes) {
+  if (bytes < 10) return `${bytes.toFixed(1)} B`;
+  if (bytes < 1024) return `${bytes.toFixed(0)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+  available,
+  track,
+  formatBytes,
+};
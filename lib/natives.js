@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * V8 runtime functions (%OptimizeFunctionOnNextCall and friends) without
+ * the syntax error.
+ *
+ * A file that writes %Foo(x) does not parse unless node was started with
+ * --allow-natives-syntax. Here every call is compiled through new Function
+ * on first use, and only if the flag is on; a script that uses this module
+ * instead of % parses everywhere and degrades without the flag:
+ *
+ *   optimize(fn, warm)   prepare + warm + optimize on next call + warm;
+ *                        without natives, warm() in a hot loop and hope
+ *   status(fn)           %GetOptimizationStatus, or null
+ *   prepare(fn), optimizeOnNextCall(fn), neverOptimize(fn),
+ *   deoptimize(fn)       the runtime function, or a no-op
+ *   call(name, ...args)  any other runtime function; throws without natives
+ *   unsupported(fn)      why fn can't be handed to the calls above, or null
+ *
+ * The calls that take a function throw a TypeError for a bound, native or
+ * Proxy function: V8 would abort the process on it ("Check failed:
+ * v8_flags.fuzzing") rather than throw.
+ *
+ * The first fallback prints one warning to stderr, so a run without the
+ * flag says that its tiers are guesses.
+ *
+ * Usage:
+ *   const natives = require('../lib/natives');
+ *   natives.optimize(readX, () => readX(obj));
+ *   natives.status(readX)  // 81, or null without --allow-natives-syntax
+ *   natives.call('HasFastProperties', obj)
+ */
+
+// Rounds of warm() when there is no %OptimizeFunctionOnNextCall. Enough
+// for TurboFan on small functions, not a guarantee.
+const HOT_ROUNDS = 1e4;
+
+function probe() {
+  try {
+    new Function('return %GetOptimizationStatus(function() {});')();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const available = probe();
+
+const compiled = new Map();
+
+function compile(name, arity) {
+  const key = `${name}/${arity}`;
+  if (!compiled.has(key)) {
+    const params = Array.from({ length: arity }, (_, i) => `a${i}`);
+    compiled.set(key, new Function(...params, `return %${name}(${params.join(', ')});`));
+  }
+  return compiled.get(key);
+}
+
+let warned = false;
+
+function warn() {
+  if (warned) return;
+  warned = true;
+  console.error('natives: node was started without --allow-natives-syntax; ' +
+    'optimizing by warmup loops instead, tiers are not checked');
+}
+
+/**
+ * Calls the runtime function `name` (without the %). Throws if natives
+ * syntax is off or V8 does not know the function.
+ */
+function call(name, ...args) {
+  if (!available) throw new Error(`%${name} needs node --allow-natives-syntax`);
+  return compile(name, args.length)(...args);
+}
+
+// Why fn can't be given to a runtime function, or null. They only take
+// JS functions with their own code; the others print as [native code].
+function unsupported(fn) {
+  if (typeof fn !== 'function') return `${typeof fn} is not a function`;
+  if (/\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn))) {
+    return 'not a plain JS function (bound, native or Proxy); wrap it: (i) => fn(i)';
+  }
+  return null;
+}
+
+function callOn(name, fn) {
+  const reason = unsupported(fn);
+  if (reason) throw new TypeError(`%${name}: ${reason}`);
+  return call(name, fn);
+}
+
+// A runtime function that is skipped with a warning when natives are off
+function optional(name) {
+  return (fn) => {
+    if (!available) return warn();
+    return callOn(name, fn);
+  };
+}
+
+const prepare = optional('PrepareFunctionForOptimization');
+const optimizeOnNextCall = optional('OptimizeFunctionOnNextCall');
+const neverOptimize = optional('NeverOptimizeFunction');
+const deoptimize = optional('DeoptimizeFunction');
+
+function status(fn) {
+  if (!available) {
+    warn();
+    return null;
+  }
+  return callOn('GetOptimizationStatus', fn);
+}
+
+/**
+ * Gets fn optimized by TurboFan. warm() calls fn with representative
+ * arguments (default: fn()), so the feedback it optimizes on is the one
+ * the measurement will see. Returns the status, or null without natives.
+ */
+function optimize(fn, warm = () => fn(), options = {}) {
+  if (!available) {
+    warn();
+    const rounds = options.rounds || HOT_ROUNDS;
+    for (let i = 0; i < rounds; i++) warm();
+    return null;
+  }
+  prepare(fn);
+  warm();
+  optimizeOnNextCall(fn);
+  warm();
+  return status(fn);
+}
+
+module.exports = {
+  available,
+  call,
+  prepare,
+  optimizeOnNextCall,
+  neverOptimize,
+  deoptimize,
+  status,
+  optimize,
+  unsupported,
+};
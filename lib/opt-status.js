@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Decoder for %GetOptimizationStatus(fn).
+ *
+ * V8 returns a bitfield (OptimizationStatus in src/runtime/runtime-test.cc).
+ * The bit positions moved when Maglev got its own bit in V8 10.x, so the
+ * layout is picked by V8 version:
+ *
+ *   V8 >= 10: ... optimized=16  maglevved=32  turbofanned=64  interpreted=128 ...
+ *   V8 <= 9:  ... optimized=16  turbofanned=32  interpreted=64 ...
+ *
+ * So 81 is "optimized by TurboFan" on Node 18+, not Maglev.
+ *
+ * status() and assertOptimizedBy() read the status through lib/natives.js,
+ * so they need --allow-natives-syntax to check anything:
+ *   node --allow-natives-syntax script.js
+ * Without it they warn once and return null instead of throwing.
+ *
+ * forceTier() puts a function in a tier on demand instead of warming it
+ * up and hoping: %CompileBaseline for Sparkplug, %OptimizeMaglevOnNextCall
+ * for Maglev, %OptimizeFunctionOnNextCall for TurboFan, and
+ * %NeverOptimizeFunction to keep it in Ignition or Sparkplug afterwards.
+ * Whether it got there is up to the flags node runs with: Ignition needs
+ * --no-sparkplug (or --max-opt=0), Maglev is off in many builds even with
+ * --maglev. Where a tier can't be had, forceTier() returns the tier fn is
+ * in instead.
+ *
+ *   const { assertOptimizedBy, describe, forceTier, status } = require('../lib/opt-status');
+ *   assertOptimizedBy(readX, 'turbofan');  // throws if readX runs in another tier
+ *   describe(status(readX));               // '81: is function, optimized, turbofanned'
+ *   forceTier(readX, 'maglev', () => readX(obj)).tier  // 'maglev', or what it got instead
+ */
+
+const { spawnSync } = require('child_process');
+const natives = require('./natives');
+const { supportsFlags } = require('./runner');
+
+const FLAG_NAMES = {
+  isFunction: 'is function',
+  neverOptimize: 'never optimize',
+  alwaysOptimize: 'always optimize',
+  maybeDeopted: 'maybe deopted',
+  optimized: 'optimized',
+  maglevved: 'maglevved',
+  turboFanned: 'turbofanned',
+  interpreted: 'interpreted',
+  markedForOptimization: 'marked for optimization',
+  markedForConcurrentOptimization: 'marked for concurrent optimization',
+  optimizingConcurrently: 'optimizing concurrently',
+  isExecuting: 'is executing',
+  topmostFrameIsTurboFanned: 'topmost frame is turbofanned',
+  liteMode: 'lite mode',
+  markedForDeoptimization: 'marked for deoptimization',
+  baseline: 'baseline',
+  topmostFrameIsInterpreted: 'topmost frame is interpreted',
+  topmostFrameIsBaseline: 'topmost frame is baseline',
+  isLazy: 'is lazy',
+  topmostFrameIsMaglev: 'topmost frame is maglev',
+  optimizeOnNextCallOptimizesToMaglev: 'optimize on next call optimizes to maglev',
+};
+
+// Bit order per layout; index = bit position
+const LAYOUTS = {
+  maglev: [
+    'isFunction', 'neverOptimize', 'alwaysOptimize', 'maybeDeopted', 'optimized',
+    'maglevved', 'turboFanned', 'interpreted', 'markedForOptimization',
+    'markedForConcurrentOptimization', 'optimizingConcurrently', 'isExecuting',
+    'topmostFrameIsTurboFanned', 'liteMode', 'markedForDeoptimization', 'baseline',
+    'topmostFrameIsInterpreted', 'topmostFrameIsBaseline', 'isLazy',
+    'topmostFrameIsMaglev', 'optimizeOnNextCallOptimizesToMaglev',
+  ],
+  legacy: [
+    'isFunction', 'neverOptimize', 'alwaysOptimize', 'maybeDeopted', 'optimized',
+    'turboFanned', 'interpreted', 'markedForOptimization',
+    'markedForConcurrentOptimization', 'optimizingConcurrently', 'isExecuting',
+    'topmostFrameIsTurboFanned', 'liteMode', 'markedForDeoptimization', 'baseline',
+    'topmostFrameIsInterpreted', 'topmostFrameIsBaseline',
+  ],
+};
+
+const TIERS = ['ignition', 'sparkplug', 'maglev', 'turbofan'];
+
+// Why a function may end up below the tier it was sent to
+const TIER_HINTS = {
+  ignition: 'Sparkplug compiles hot functions unless node runs with --no-sparkplug or --max-opt=0',
+  sparkplug: 'Sparkplug is off with --no-sparkplug, --max-opt=0 or --jitless',
+  maglev: 'V8 runs with --no-maglev here; node --maglev turns it on in builds that have it',
+  turbofan: null,
+};
+
+function optimizing(tier) {
+  return tier === 'maglev' || tier === 'turbofan';
+}
+
+function checkTier(tier) {
+  if (!TIERS.includes(tier)) {
+    throw new Error(`Unknown tier "${tier}" (expected ${TIERS.join(', ')})`);
+  }
+}
+
+function layoutFor(v8Version) {
+  return parseInt(v8Version, 10) >= 10 ? LAYOUTS.maglev : LAYOUTS.legacy;
+}
+
+/**
+ * Decodes a status value into { value, flags, tier }.
+ * flags has every known flag as a boolean; tier is the code the function
+ * currently has: 'turbofan', 'maglev', 'sparkplug', 'ignition', or null
+ * when it hasn't been compiled yet.
+ */
+function decode(value, v8Version = process.versions.v8) {
+  const layout = layoutFor(v8Version);
+  const flags = {};
+  for (const name of Object.keys(FLAG_NAMES)) flags[name] = false;
+  layout.forEach((name, bit) => {
+    flags[name] = (value & (1 << bit)) !== 0;
+  });
+
+  let tier = null;
+  if (flags.turboFanned) tier = 'turbofan';
+  else if (flags.maglevved) tier = 'maglev';
+  else if (flags.baseline) tier = 'sparkplug';
+  else if (flags.interpreted) tier = 'ignition';
+
+  return { value, flags, tier };
+}
+
+// '81: is function, optimized, turbofanned'
+function describe(value, v8Version) {
+  const { flags } = decode(value, v8Version);
+  const set = Object.keys(flags).filter((name) => flags[name]).map((name) => FLAG_NAMES[name]);
+  return `${value}: ${set.join(', ') || 'no flags'}`;
+}
+
+// The raw bitfield, or null without --allow-natives-syntax
+function status(fn) {
+  return natives.status(fn);
+}
+
+// 'expected maglev, got sparkplug (status ...; Maglev is off unless ...)'
+function tierMismatch(decoded, tier) {
+  if (decoded.unsupported) return `expected ${tier}, not tried: ${decoded.unsupported}`;
+  const reason = decoded.neverOptimized
+    ? 'forceTier() pinned this code (or another closure of it) below Maglev before'
+    : TIER_HINTS[tier];
+  const hint = reason ? `; ${reason}` : '';
+  return `expected ${tier}, got ${decoded.tier || 'not compiled'} (status ${describe(decoded.value)}${hint})`;
+}
+
+/**
+ * Throws unless fn currently runs code from `tier`
+ * ('ignition', 'sparkplug', 'maglev' or 'turbofan').
+ * Returns the decoded status, or null if natives syntax is off.
+ */
+function assertOptimizedBy(fn, tier) {
+  checkTier(tier);
+  const value = status(fn);
+  if (value === null) return null;
+  const decoded = decode(value);
+  if (decoded.tier !== tier) throw new Error(`${fn.name || '(anonymous)'}: ${tierMismatch(decoded, tier)}`);
+  return decoded;
+}
+
+// A concurrent compile still running from warmup ignores on-next-call
+// marks, so it is finished first; code above the target tier is dropped
+function settle(fn, tier) {
+  natives.call('FinalizeOptimization');
+  if (tier !== 'turbofan') natives.deoptimize(fn);
+}
+
+// Source of the functions forceTier() marked never-optimize. V8 puts the
+// mark on the code every closure of the function shares, does not report
+// it in the status, and aborts in %PrepareFunctionForOptimization on it.
+const neverOptimized = new Set();
+
+// %CompileBaseline aborts the process when Sparkplug is off. Flags set
+// at runtime with v8.setFlagsFromString are not seen.
+function sparkplugOff() {
+  const args = process.execArgv.concat((process.env.NODE_OPTIONS || '').split(/\s+/));
+  return args.some((arg) => /^--(no[-_]sparkplug|max[-_]opt=0|jitless)$/.test(arg));
+}
+
+let maglevEnabled;
+
+// Whether V8 has Maglev on in this process. Asked once, in a child with
+// the same V8 flags: --maglev alone doesn't say, V8 can turn it off again
+// (Node 20 and 22 report --no-maglev with it on some x64 machines), and
+// the runtime function then prints "Maglev is not enabled." into stdout.
+// Before V8 10.2 it doesn't exist at all.
+function maglevOn() {
+  if (maglevEnabled !== undefined) return maglevEnabled;
+  const args = process.execArgv.concat((process.env.NODE_OPTIONS || '').split(/\s+/));
+  try {
+    if (!supportsFlags(['--maglev'])) {
+      maglevEnabled = false;
+    } else if (!supportsFlags(['--print-flag-values'])) {
+      maglevEnabled = args.includes('--maglev');
+    } else {
+      const v8Args = process.execArgv.filter((arg) => supportsFlags([arg]));
+      const out = spawnSync(process.execPath, [...v8Args, '--print-flag-values', '-e', '0'], { encoding: 'utf8' }).stdout || '';
+      maglevEnabled = /^--maglev$/m.test(out);
+    }
+  } catch (e) {
+    // No child processes in the shells (lib/prelude.js): go by the flags
+    maglevEnabled = args.includes('--maglev');
+  }
+  return maglevEnabled;
+}
+
+/**
+ * Drives fn to `tier` and returns the decoded status it ends up with, so
+ * the caller can check `.tier` (assertOptimizedBy throws instead).
+ * warm() calls fn with representative arguments (default: fn()); it runs
+ * before compiling, so the code is built on the feedback the measurement
+ * will see. Ignition and Sparkplug also mark fn never-optimize, so it
+ * stays there while it is timed. Never-optimize doesn't keep it out of
+ * Sparkplug, so with Sparkplug on, 'ignition' compiles it there right
+ * away rather than let it move while it is timed; 'maglev' without Maglev
+ * leaves it where warm() got it.
+ *
+ * A bound, native or Proxy function is not touched: the result has no
+ * tier and `unsupported` says why.
+ *
+ * Without natives syntax there is no way to aim: maglev and turbofan fall
+ * back to natives.optimize()'s warmup loop, the others to one warm()
+ * call, and the result is null.
+ */
+function forceTier(fn, tier, warm = () => fn()) {
+  checkTier(tier);
+  if (!natives.available) {
+    if (optimizing(tier)) natives.optimize(fn, warm);
+    else warm();
+    return null;
+  }
+
+  const reason = natives.unsupported(fn);
+  if (reason) return { value: null, flags: {}, tier: null, unsupported: reason };
+
+  settle(fn, tier);
+  if (optimizing(tier) && neverOptimized.has(String(fn))) {
+    return Object.assign(decode(status(fn)), { neverOptimized: true });
+  }
+
+  if (!optimizing(tier)) {
+    neverOptimized.add(String(fn));
+    natives.neverOptimize(fn);
+    warm();
+    if (!sparkplugOff()) natives.call('CompileBaseline', fn);
+  } else if (tier === 'maglev') {
+    if (!maglevOn()) {
+      warm();
+      return decode(status(fn));
+    }
+    natives.prepare(fn);
+    warm();
+    natives.call('OptimizeMaglevOnNextCall', fn);
+    warm();
+  } else {
+    natives.optimize(fn, warm);
+  }
+  return decode(status(fn));
+}
+
+module.exports = {
+  decode,
+  describe,
+  status,
+  assertOptimizedBy,
+  forceTier,
+  tierMismatch,
+};
@@ -0,0 +1,333 @@
+/**
+ * Host-API prelude for bare JS shells (d8, jsc, SpiderMonkey)
+ *
+ * The shells have print() and read() but none of Node's host objects, so
+ * the experiments (and lib/bench.js) fail on the first `require`. This
+ * file is a classic script, loaded before the experiment in the same
+ * global, that provides what they use:
+ *
+ *   console       log/info/debug to stdout, warn/error to stderr
+ *   performance   now(), from the shell's clock if it has none
+ *   process       argv, env, version(s), hrtime(), hrtime.bigint(),
+ *                 stdout/stderr.write, exit, nextTick, cwd
+ *   require       CommonJS for relative paths and .json (node: prefixes
+ *                 allowed), plus stand-ins for the Node modules the
+ *                 experiments touch: path, fs and fs/promises (reading
+ *                 only), os, v8, util, perf_hooks, child_process (throws
+ *                 when called)
+ *
+ * fs.readFile(Sync) returns a string with an encoding and a Uint8Array
+ * without one, read through d8's readbuffer() (read(file, 'binary') in
+ * SpiderMonkey, readFile(file, 'binary') in jsc), which is enough for
+ * WebAssembly.compile(await fs.readFile('./fibonacci.wasm')).
+ *
+ * Standalone, the script to run goes after the prelude (after `--` in d8
+ * and jsc, which only pass the rest on as arguments), so that it runs as
+ * a module with its own __dirname:
+ *
+ *   d8 --no-opt lib/prelude.js -- v8-var-vs-letconst/access-perf-test.js
+ *   jsc lib/prelude.js -- v8-proxy/bench.js
+ *   js lib/prelude.js v8-proxy/bench.js        # SpiderMonkey
+ *
+ * Plain scripts that only need console or performance can also follow it
+ * as a second file: d8 lib/prelude.js script.js. lib/engines.js instead
+ * sets `__hostEnv = { engine, version, main, cwd, env, args }` before
+ * this file and calls __runMain(script) after it.
+ */
+
+(function(global) {
+  'use strict';
+
+  // Standalone: the script and its arguments from the command line
+  const cliArgs = Array.from(global.arguments || global.scriptArgs || []);
+  const host = global.__hostEnv || { main: cliArgs[0], args: cliArgs.slice(1) };
+  const print = global.print;
+  const printErr = typeof global.printErr === 'function' ? global.printErr : print;
+  const readText = typeof global.read === 'function' ? global.read : global.readFile;
+
+  function detectEngine() {
+    if (host.engine) return host.engine;
+    if (typeof global.d8 === 'object') return 'd8';
+    if (typeof global.preciseTime === 'function') return 'jsc';
+    if (typeof global.scriptArgs === 'object') return 'spidermonkey';
+    return 'shell';
+  }
+
+  const engine = detectEngine();
+  const engineVersion = host.version ||
+    (engine === 'd8' && typeof global.version === 'function' ? String(global.version()) : '');
+
+  // === console ===
+
+  function show(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (value instanceof Error) return value.stack || String(value);
+    if (value && typeof value === 'object') {
+      try {
+        return JSON.stringify(value);
+      } catch (e) {
+        return Object.prototype.toString.call(value);
+      }
+    }
+    return String(value);
+  }
+
+  function line(args) {
+    return Array.prototype.map.call(args, show).join(' ');
+  }
+
+  const out = function() { print(line(arguments)); };
+  const err = function() { printErr(line(arguments)); };
+  const console = global.console || {};
+  for (const name of ['log', 'info', 'debug']) if (typeof console[name] !== 'function') console[name] = out;
+  for (const name of ['warn', 'error', 'trace']) if (typeof console[name] !== 'function') console[name] = err;
+  global.console = console;
+
+  // === performance ===
+
+  let nowMs;
+  if (global.performance && typeof global.performance.now === 'function') {
+    nowMs = () => global.performance.now();
+  } else if (typeof global.preciseTime === 'function') {
+    const origin = global.preciseTime();
+    nowMs = () => (global.preciseTime() - origin) * 1000;
+  } else {
+    const origin = Date.now();
+    nowMs = () => Date.now() - origin;
+  }
+  if (!global.performance) global.performance = {};
+  if (typeof global.performance.now !== 'function') global.performance.now = nowMs;
+
+  // === process ===
+
+  // print() ends every call with a newline; write() may not
+  function stream(sink) {
+    let pending = '';
+    return {
+      write(chunk) {
+        const lines = (pending + String(chunk)).split('\n');
+        pending = lines.pop();
+        for (const l of lines) sink(l);
+        return true;
+      },
+    };
+  }
+
+  function hrtime(previous) {
+    const ns = Math.round(nowMs() * 1e6);
+    let sec = Math.floor(ns / 1e9);
+    let nsec = ns % 1e9;
+    if (previous) {
+      sec -= previous[0];
+      nsec -= previous[1];
+      if (nsec < 0) {
+        sec--;
+        nsec += 1e9;
+      }
+    }
+    return [sec, nsec];
+  }
+  hrtime.bigint = () => BigInt(Math.round(nowMs() * 1e6));
+
+  const versions = { [engine]: engineVersion };
+  if (engine === 'd8') versions.v8 = engineVersion;
+
+  const process = {
+    argv: [engine, host.main || ''].concat(host.args || []),
+    execArgv: [],
+    env: Object.assign({}, host.env),
+    version: engineVersion,
+    versions,
+    release: { name: engine },
+    platform: host.platform || 'unknown',
+    arch: host.arch || 'unknown',
+    hrtime,
+    stdout: stream(print),
+    stderr: stream(printErr),
+    cwd: () => host.cwd || '.',
+    nextTick: (fn, ...args) => Promise.resolve().then(() => fn(...args)),
+    exit(code) {
+      if (typeof global.quit === 'function') global.quit(code || 0);
+      throw new Error(`process.exit(${code || 0})`);
+    },
+    memoryUsage: () => ({ rss: 0, heapTotal: 0, heapUsed: 0, external: 0, arrayBuffers: 0 }),
+  };
+  if (!global.process) global.process = process;
+
+  // === Node module stand-ins ===
+
+  function unavailable(what) {
+    return () => {
+      throw new Error(`${what} is not available in ${engine}`);
+    };
+  }
+
+  function normalize(p) {
+    const absolute = p.startsWith('/');
+    const parts = [];
+    for (const part of p.split('/')) {
+      if (!part || part === '.') continue;
+      if (part === '..' && parts.length && parts[parts.length - 1] !== '..') parts.pop();
+      else if (part !== '..' || !absolute) parts.push(part);
+    }
+    const joined = parts.join('/');
+    return absolute ? `/${joined}` : joined || '.';
+  }
+
+  const path = {
+    sep: '/',
+    delimiter: ':',
+    normalize,
+    isAbsolute: (p) => p.startsWith('/'),
+    join: (...parts) => normalize(parts.filter(Boolean).join('/')),
+    resolve(...parts) {
+      let p = '';
+      for (const part of parts) p = part.startsWith('/') ? part : p ? `${p}/${part}` : part;
+      return normalize(p.startsWith('/') ? p : `${process.cwd()}/${p}`);
+    },
+    dirname(p) {
+      const i = normalize(p).lastIndexOf('/');
+      return i < 0 ? '.' : i === 0 ? '/' : normalize(p).slice(0, i);
+    },
+    basename(p, ext) {
+      const base = normalize(p).split('/').pop();
+      return ext && base.endsWith(ext) ? base.slice(0, -ext.length) : base;
+    },
+    extname(p) {
+      const base = path.basename(p);
+      const i = base.lastIndexOf('.');
+      return i > 0 ? base.slice(i) : '';
+    },
+    relative(from, to) {
+      const a = path.resolve(from).split('/').filter(Boolean);
+      const b = path.resolve(to).split('/').filter(Boolean);
+      let i = 0;
+      while (i < a.length && i < b.length && a[i] === b[i]) i++;
+      return a.slice(i).map(() => '..').concat(b.slice(i)).join('/');
+    },
+  };
+  path.posix = path;
+
+  function readBytes(file) {
+    if (typeof global.readbuffer === 'function') return new Uint8Array(global.readbuffer(file));
+    const data = readText(file, 'binary');
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+  }
+
+  // readFileSync(file, 'utf8') or (file, { encoding }) gives a string
+  function readFileSync(file, options) {
+    const encoding = typeof options === 'string' ? options : options && options.encoding;
+    try {
+      return encoding ? readText(String(file)) : readBytes(String(file));
+    } catch (e) {
+      const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+  }
+
+  const promises = {
+    readFile: (file, options) => new Promise((resolve) => resolve(readFileSync(file, options))),
+  };
+
+  const fs = {
+    promises,
+    readFileSync,
+    existsSync(file) {
+      try {
+        readText(String(file));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+    writeFileSync: unavailable('fs.writeFileSync'),
+    mkdirSync: unavailable('fs.mkdirSync'),
+    readdirSync: unavailable('fs.readdirSync'),
+    statSync: unavailable('fs.statSync'),
+  };
+
+  const os = {
+    EOL: '\n',
+    cpus: () => [],
+    type: () => engine,
+    release: () => engineVersion,
+    endianness: () => 'LE',
+    totalmem: () => 0,
+    homedir: () => '',
+    tmpdir: () => '/tmp',
+  };
+
+  const v8 = {
+    getHeapStatistics: () => ({ total_heap_size: 0, used_heap_size: 0, heap_size_limit: 0 }),
+    setFlagsFromString() {},
+  };
+
+  const util = {
+    inspect: show,
+    format: (...args) => line(args),
+  };
+
+  const builtins = {
+    path,
+    fs,
+    'fs/promises': promises,
+    os,
+    v8,
+    util,
+    perf_hooks: { performance: global.performance },
+    child_process: { spawnSync: unavailable('child_process'), execSync: unavailable('child_process') },
+  };
+
+  // === require ===
+
+  const cache = {};
+
+  function resolveFile(request, dir) {
+    const base = path.resolve(dir, request);
+    for (const file of [base, `${base}.js`, `${base}.json`, `${base}/index.js`]) {
+      if (cache[file] || fs.existsSync(file)) return file;
+    }
+    throw new Error(`Cannot find module '${request}' from ${dir}`);
+  }
+
+  function makeRequire(dir) {
+    function require(request) {
+      const name = request.replace(/^node:/, '');
+      if (Object.prototype.hasOwnProperty.call(builtins, name)) return builtins[name];
+      if (!/^\.{0,2}\//.test(request)) throw new Error(`Cannot find module '${request}' (not available in ${engine})`);
+      return load(resolveFile(request, dir)).exports;
+    }
+    require.cache = cache;
+    require.main = global.require && global.require.main;
+    return require;
+  }
+
+  function load(file, isMain) {
+    if (cache[file]) return cache[file];
+    const module = { id: file, filename: file, exports: {}, loaded: false };
+    cache[file] = module;
+    const source = readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+      module.exports = JSON.parse(source);
+    } else {
+      const require = makeRequire(path.dirname(file));
+      if (isMain) global.require.main = module;
+      require.main = global.require.main;
+      const wrapper = new Function('exports', 'require', 'module', '__filename', '__dirname',
+        source.replace(/^#!.*/, ''));
+      wrapper.call(module.exports, module.exports, require, module, file, path.dirname(file));
+    }
+    module.loaded = true;
+    return module;
+  }
+
+  if (typeof global.require !== 'function') global.require = makeRequire(process.cwd());
+
+  // Runs `file` as the main module
+  global.__runMain = (file) => load(path.resolve(file), true);
+
+  if (!global.__hostEnv && host.main) global.__runMain(host.main);
+})(globalThis);
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Sampling CPU profiles through the inspector's Profiler domain.
+ *
+ * The inspector session of the main thread answers synchronously, so a
+ * profile can be wrapped around a synchronous benchmark loop. Profiles
+ * are plain .cpuprofile JSON: open them in Chrome DevTools (Performance
+ * tab, "Load profile") or speedscope.
+ *
+ * V8 normally folds time spent in builtins and runtime functions into the
+ * JS function that called them. start() turns that off
+ * (--no-prof-browser-mode), but that only separates some of them
+ * (StoreFastElementIC_Standard, GetNamedPropertyHandler, mostly around
+ * unoptimized code). Builtins called from compiled code stay folded:
+ * LoadIC_Megamorphic or ProxyGetProperty don't appear, even under
+ * --max-opt=1, and their time is the caller's self time.
+ *
+ * For those, tickTimes() reads the tick log of a run under --prof
+ * instead: every tick's pc is looked up in the log's code-creation
+ * events, builtins and bytecode handlers included, so the time inside
+ * ProxyGetProperty is listed as ProxyGetProperty. Only the ticks between
+ * a mark('start') and a mark('stop') count, so a script can limit it to
+ * its timed part. Run it with --no-short-builtin-calls: otherwise V8
+ * executes a copy of the builtins at addresses the log doesn't name.
+ * Inlined code is its caller's in both: once the harness's loop inlines
+ * a case, the case's time is on the loop ("(anonymous) eval:1").
+ *
+ * Usage:
+ *   const profile = require('../lib/profile');
+ *   const p = profile.start();
+ *   run();
+ *   const cpuprofile = p.stop();
+ *   profile.selfTimes(cpuprofile).slice(0, 5)
+ *   // [{ name: '(anonymous)', kind: 'js', location: 'bench.js:45', self: 41.2, share: 0.79 }, ...]
+ *
+ *   // in the script, run with node --prof --no-short-builtin-calls
+ *   profile.mark('start'); run(); profile.mark('stop');
+ *   // afterwards, on its log
+ *   profile.tickTimes(log).slice(0, 5)
+ *   // [{ name: 'ProxyGetProperty', kind: 'builtin', location: null, self: 12, share: 0.31 }, ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const v8 = require('v8');
+const { codeMap, fields } = require('./v8-log');
+
+// Name of the functions mark() compiles: 'bench$ticks$start$3'
+const MARK = /^bench\$ticks\$(start|stop)\$\d+\b/;
+
+// Tick vmstates worth naming when the pc is in no code object
+const VM_STATES = { 1: '(garbage collector)', 2: '(parser)', 3: '(compiler)', 4: '(compiler)' };
+
+let session = null;
+
+function connect() {
+  if (session) return session;
+  const inspector = require('inspector');
+  v8.setFlagsFromString('--no-prof-browser-mode');
+  session = new inspector.Session();
+  session.connect();
+  post('Profiler.enable');
+  return session;
+}
+
+// Session.post on the main thread calls back before it returns
+function post(method, params) {
+  let error = null;
+  let result = null;
+  session.post(method, params, (e, r) => {
+    error = e;
+    result = r;
+  });
+  if (error) throw new Error(`${method}: ${error.message}`);
+  return result;
+}
+
+/**
+ * Starts sampling every `interval` microseconds (default 100).
+ * Returns { stop() } giving the profile.
+ */
+function start(interval = 100) {
+  connect();
+  post('Profiler.setSamplingInterval', { interval });
+  post('Profiler.start');
+  return {
+    stop() {
+      return post('Profiler.stop').profile;
+    },
+  };
+}
+
+//   js       a function in a script (location 'bench.js:12', 'eval:3'
+//            for new Function code)
+//   node     Node's own JS (node:internal/...)
+//   builtin  V8 builtins and runtime functions (no script)
+//   vm       states like (garbage collector), (program), (idle)
+function classify(frame) {
+  const { functionName, url, lineNumber, scriptId } = frame;
+  if (/^\(.*\)$/.test(functionName)) return { kind: 'vm', location: null };
+  if (scriptId === '0') return { kind: 'builtin', location: null };
+  if (!url) return { kind: 'js', location: `eval:${lineNumber + 1}` };
+  const file = url.startsWith('file://') ? url.slice('file://'.length) : url;
+  return {
+    kind: url.startsWith('node:') ? 'node' : 'js',
+    location: `${path.basename(file)}:${lineNumber + 1}`,
+  };
+}
+
+/**
+ * Self time per function, most expensive first:
+ *   [{ name, kind, location, self, share }]
+ * self is in ms, share the fraction of all samples. Functions are merged
+ * by name and location across call paths.
+ */
+function selfTimes(profile) {
+  const byId = new Map(profile.nodes.map((n) => [n.id, n]));
+  const totals = new Map();
+  let total = 0;
+  profile.samples.forEach((id, i) => {
+    // The first delta runs from Profiler.start, not from a previous sample
+    if (i === 0) return;
+    const delta = profile.timeDeltas[i] || 0;
+    const frame = byId.get(id).callFrame;
+    const key = `${frame.functionName}\0${frame.url}\0${frame.lineNumber}`;
+    if (!totals.has(key)) totals.set(key, { frame, self: 0 });
+    totals.get(key).self += delta;
+    total += delta;
+  });
+
+  return [...totals.values()]
+    .sort((a, b) => b.self - a.self)
+    .map(({ frame, self }) => Object.assign(
+      { name: frame.functionName || '(anonymous)' },
+      classify(frame),
+      { self: self / 1000, share: total ? self / total : 0 },
+    ));
+}
+
+let marks = 0;
+
+/**
+ * Leaves a timestamp in the --prof log: compiling a new function logs a
+ * code-creation event. `what` is 'start' or 'stop'; tickTimes() counts
+ * the ticks between the two.
+ */
+function mark(what) {
+  new Function(`return function bench$ticks$${what}$${++marks}() {};`)()();
+}
+
+// [[start, stop], ...] timestamps of the marks in the log
+function markedWindows(lines) {
+  const windows = [];
+  for (const line of lines) {
+    if (!line.startsWith('code-creation')) continue;
+    const f = fields(line);
+    const m = MARK.exec(f[6] || '');
+    if (!m) continue;
+    if (m[1] === 'start') windows.push([Number(f[3]), Infinity]);
+    else if (windows.length) windows[windows.length - 1][1] = Number(f[3]);
+  }
+  return windows;
+}
+
+// The frame a tick's pc is in, in the shape selfTimes() uses
+function tickFrame(entry, state, pc, libraries) {
+  if (entry && entry.script) {
+    const node = entry.file.startsWith('node:') || entry.file.startsWith('internal/');
+    return {
+      name: entry.name || '(anonymous)',
+      kind: node ? 'node' : 'js',
+      location: `${entry.file ? path.basename(entry.file) : 'eval'}:${entry.line}`,
+    };
+  }
+  if (entry) {
+    // Builtins, bytecode handlers, IC handlers, regexp code
+    const name = entry.type === 'Builtin' ? entry.name : `${entry.name} (${entry.type})`;
+    return { name, kind: 'builtin', location: null };
+  }
+  if (VM_STATES[state]) return { name: VM_STATES[state], kind: 'vm', location: null };
+  const library = libraries.find((l) => pc >= l.start && pc < l.end);
+  if (library) return { name: path.basename(library.name), kind: 'cpp', location: null };
+  return { name: '(unknown)', kind: 'vm', location: null };
+}
+
+/**
+ * Self time per code object from a --prof log, most expensive first,
+ * like selfTimes(): [{ name, kind, location, self, share }]. Kinds are
+ * those of selfTimes() plus 'cpp' (C++ in node or a library). Counts the
+ * ticks between mark('start') and mark('stop'), or all of them if the
+ * script made no marks. `ticks` on the array is the number counted.
+ */
+function tickTimes(log) {
+  const lines = log.split('\n');
+  const windows = markedWindows(lines);
+  const inWindow = (ts) => !windows.length || windows.some(([from, to]) => ts >= from && ts <= to);
+
+  const code = codeMap();
+  const libraries = [];
+  const totals = new Map();
+  let interval = 1000; // µs, --prof-sampling-interval
+  let total = 0;
+  for (const line of lines) {
+    const f = fields(line);
+    if (code.track(f)) continue;
+    if (f[0] === 'shared-library') {
+      libraries.push({ name: f[1], start: parseInt(f[2], 16), end: parseInt(f[3], 16) });
+    } else if (f[0] === 'profiler' && f[1] === 'begin') {
+      interval = Number(f[2]) || interval;
+    } else if (f[0] === 'tick' && inWindow(Number(f[2]))) {
+      const frame = tickFrame(code.at(f[1]), f[5], parseInt(f[1], 16), libraries);
+      const key = `${frame.name}\0${frame.location}`;
+      if (!totals.has(key)) totals.set(key, { frame, ticks: 0 });
+      totals.get(key).ticks++;
+      total++;
+    }
+  }
+
+  const frames = [...totals.values()]
+    .sort((a, b) => b.ticks - a.ticks)
+    .map(({ frame, ticks }) => Object.assign(frame, { self: ticks * interval / 1000, share: ticks / total }));
+  frames.ticks = total;
+  return frames;
+}
+
+// '  79.2%  (anonymous)  bench.js:45', '   5.7%  StoreFastElementIC_Standard  (builtin)'
+function formatFrame(f) {
+  const where = f.kind === 'js' ? f.location : f.kind === 'node' ? `${f.location} (node)` : `(${f.kind})`;
+  return `${(f.share * 100).toFixed(1).padStart(5)}%  ${f.name}  ${where}`;
+}
+
+function write(file, profile) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(profile));
+}
+
+module.exports = {
+  start,
+  selfTimes,
+  mark,
+  tickTimes,
+  formatFrame,
+  write,
+};
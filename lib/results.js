@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Results store: a local history of bench runs, one NDJSON file per run.
+ *
+ *   results/2026-10-19T06-45-12_node-v20.19.5.ndjson
+ *
+ * Each line is a record as the harness writes it with --json (see
+ * lib/bench.js). A run can hold any number of experiments.
+ *
+ * compare() lines up two runs by experiment and case. Absolute ns/op
+ * differ between machines and Node versions, so the check is on ratios
+ * within an experiment: each case against the experiment's first case,
+ * which is how the findings are written ("megamorphic is 3-4x slower than
+ * monomorphic"). A case is flagged when that ratio moved by more than
+ * `threshold` (0.25 = 25%).
+ *
+ * Usage:
+ *   const results = require('../lib/results');
+ *   const id = results.save(records);
+ *   const diff = results.compare(results.load(results.find('20')), results.load(results.find('22')));
+ *   diff.rows.filter((r) => r.flagged)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.resolve(__dirname, '..', 'results');
+
+function dirOf(options) {
+  return (options && options.dir) || DIR;
+}
+
+/**
+ * Writes records as a new run and returns its id.
+ * Options: dir (default: results/), id.
+ */
+function save(records, options = {}) {
+  if (!records.length) throw new Error('No records to save');
+  const dir = dirOf(options);
+  const env = records[0].env || {};
+  const stamp = new Date().toISOString().replace(/:/g, '-').replace(/\.\d+Z$/, '');
+  const id = options.id || `${stamp}_node-${env.node || 'unknown'}`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${id}.ndjson`), records.map((r) => JSON.stringify(r)).join('\n') + '\n');
+  return id;
+}
+
+function load(id, options) {
+  const file = path.join(dirOf(options), `${id}.ndjson`);
+  if (!fs.existsSync(file)) throw new Error(`No run ${id} in ${dirOf(options)}`);
+  return fs.readFileSync(file, 'utf8').split('\n').filter((l) => l.startsWith('{')).map((l) => JSON.parse(l));
+}
+
+/**
+ * Runs in the store, oldest first:
+ *   [{ id, node, v8, arch, cpu, experiments, cases, env }]
+ * `env` is the fingerprint of the run's first record.
+ */
+function list(options) {
+  const dir = dirOf(options);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.ndjson'))
+    .sort()
+    .map((f) => {
+      const id = f.replace(/\.ndjson$/, '');
+      const records = load(id, options);
+      const env = (records[0] && records[0].env) || {};
+      return {
+        id,
+        node: env.node || null,
+        v8: env.v8 || null,
+        arch: env.arch || null,
+        cpu: env.cpu ? env.cpu.model : null,
+        experiments: new Set(records.map((r) => r.experiment)).size,
+        cases: records.length,
+        env,
+      };
+    });
+}
+
+/**
+ * A run id from an id, 'latest', or a Node version ('22', 'v20.19'):
+ * the newest run recorded under that version.
+ */
+function find(spec, options) {
+  const runs = list(options);
+  if (runs.some((r) => r.id === spec)) return spec;
+
+  const prefix = String(spec).replace(/^v/, '');
+  const matches = spec === 'latest' ? runs : runs.filter((r) => {
+    const version = (r.node || '').replace(/^v/, '');
+    return version === prefix || version.startsWith(prefix + '.');
+  });
+  if (!matches.length) {
+    throw new Error(`No run matches "${spec}" (have: ${runs.map((r) => r.id).join(', ') || 'none'})`);
+  }
+  return matches[matches.length - 1].id;
+}
+
+/**
+ * The newest run with records from experiments under `prefix`
+ * ('v8-proxy/' for every script in v8-proxy): { id, records } or null.
+ */
+function latest(prefix, options) {
+  const runs = list(options).reverse();
+  for (const run of runs) {
+    const records = load(run.id, options).filter((r) => r.experiment.startsWith(prefix));
+    if (records.length) return { id: run.id, records };
+  }
+  return null;
+}
+
+function byExperiment(records) {
+  const experiments = new Map();
+  for (const r of records) {
+    if (!experiments.has(r.experiment)) experiments.set(r.experiment, new Map());
+    // A case measured twice in one run: the later one wins
+    experiments.get(r.experiment).set(r.case, r);
+  }
+  return experiments;
+}
+
+/**
+ * Compares run `b` against run `a`. Returns
+ *   { rows: [{ experiment, case, a, b, change, ratioA, ratioB, ratioChange, flagged }],
+ *     onlyA: [{ experiment, case }], onlyB: [...] }
+ * `a` and `b` are median ns/op; change is b / a; ratioA and ratioB are the
+ * case against the experiment's reference case in each run.
+ */
+function compare(a, b, options = {}) {
+  const threshold = options.threshold === undefined ? 0.25 : options.threshold;
+  const runA = byExperiment(a);
+  const runB = byExperiment(b);
+  const rows = [];
+  const onlyA = [];
+  const onlyB = [];
+
+  for (const [experiment, casesA] of runA) {
+    const casesB = runB.get(experiment) || new Map();
+    // Reference: the first case present in both runs
+    const reference = [...casesA.keys()].find((c) => casesB.has(c));
+
+    for (const [label, recA] of casesA) {
+      const recB = casesB.get(label);
+      if (!recB) {
+        onlyA.push({ experiment, case: label });
+        continue;
+      }
+      const row = {
+        experiment,
+        case: label,
+        a: recA.median,
+        b: recB.median,
+        change: recB.median / recA.median,
+        ratioA: null,
+        ratioB: null,
+        ratioChange: null,
+        flagged: false,
+      };
+      if (label !== reference) {
+        row.ratioA = recA.median / casesA.get(reference).median;
+        row.ratioB = recB.median / casesB.get(reference).median;
+        row.ratioChange = row.ratioB / row.ratioA;
+        row.flagged = Math.abs(row.ratioChange - 1) > threshold;
+      }
+      rows.push(row);
+    }
+    for (const label of casesB.keys()) {
+      if (!casesA.has(label)) onlyB.push({ experiment, case: label });
+    }
+  }
+  for (const [experiment, casesB] of runB) {
+    if (runA.has(experiment)) continue;
+    for (const label of casesB.keys()) onlyB.push({ experiment, case: label });
+  }
+
+  return { rows, onlyA, onlyB };
+}
+
+module.exports = {
+  DIR,
+  save,
+  load,
+  list,
+  find,
+  latest,
+  compare,
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * Runs a bench script in a child process and collects its NDJSON records.
+ *
+ * The child is started with BENCH_JSON=1, so every case the harness
+ * measures comes back on stdout as one record (see lib/bench.js). The
+ * script's own output goes to stderr and is passed through unless `quiet`.
+ *
+ * Usage:
+ *   const { runScript } = require('../lib/runner');
+ *   const run = runScript('v8-proxy/bench.js', { flags: ['--max-opt=0'] });
+ *   run.records  // [{ experiment, case, median, ... }, ...]
+ *
+ *   // every case in a fresh process, 5 times, pinned to CPU 2
+ *   runIsolated('v8-map-vs-object/bench.js', { runs: 5, pin: 2, gc: true })
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const stats = require('./stats');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// "v8-proxy/bench" for <root>/v8-proxy/bench.js, same as the harness uses
+function experimentId(script) {
+  return path.relative(ROOT, path.resolve(script)).replace(/\\/g, '/').replace(/\.js$/, '');
+}
+
+function parseRecords(stdout) {
+  const records = [];
+  for (const line of stdout.split('\n')) {
+    if (!line.startsWith('{')) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Not a record, just something the script wrote to stdout
+    }
+  }
+  return records;
+}
+
+/**
+ * Options:
+ *   node     node binary (default: the one running this process)
+ *   flags    V8/node flags placed before the script
+ *   args     arguments placed after the script
+ *   env      extra environment variables
+ *   quiet    drop the script's human-readable output
+ *   timeout  ms before the child is killed (default: none)
+ *   pin      CPU list to pin the child to with taskset ('2', '0-3'; Linux)
+ *
+ * The child runs in the script's directory, so relative paths inside
+ * experiments (fibonacci.wasm, ...) resolve the same as a manual run.
+ */
+function runScript(script, options = {}) {
+  const file = path.resolve(script);
+  const env = Object.assign({}, process.env, {
+    BENCH_JSON: '1',
+    BENCH_EXPERIMENT: experimentId(file),
+  }, options.env);
+
+  const argv = [
+    options.node || process.execPath,
+    ...(options.flags || []),
+    file,
+    ...(options.args || []),
+  ];
+  if (options.pin !== undefined) argv.unshift('taskset', '-c', String(options.pin));
+
+  const child = spawnSync(argv[0], argv.slice(1), {
+    cwd: path.dirname(file),
+    env,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', options.quiet ? 'ignore' : 'inherit'],
+    timeout: options.timeout,
+  });
+
+  if (child.error && child.error.code === 'ENOENT' && options.pin !== undefined) {
+    child.error = new Error('taskset not found; pinning needs Linux (util-linux)');
+  }
+
+  return {
+    status: child.status,
+    signal: child.signal,
+    error: child.error,
+    stdout: child.stdout || '',
+    records: parseRecords(child.stdout || ''),
+  };
+}
+
+// The case labels a bench script measures, in order, without measuring them
+function listCases(script, options = {}) {
+  const run = runScript(script, Object.assign({}, options, {
+    quiet: true,
+    env: Object.assign({}, options.env, { BENCH_LIST: '1' }),
+  }));
+  if (run.error) throw run.error;
+  return run.records.filter((r) => r.listed).map((r) => r.case);
+}
+
+// Half-width of the 95% CI as a percentage of the mean, as the harness
+// prints it; null for a single value
+function spreadOf(values) {
+  const ci = stats.confidenceInterval(values);
+  if (!ci) return null;
+  return (ci[1] - ci[0]) / 2 / stats.mean(values) * 100;
+}
+
+// Mean of the records' spreads, leaving out single-sample ones; null if
+// none has one
+function meanSpread(records) {
+  const spreads = records.map((r) => r.spread).filter((s) => s !== null && s !== undefined);
+  return spreads.length ? stats.mean(spreads) : null;
+}
+
+/**
+ * Runs every case of a bench script in its own child process, `runs`
+ * times, so that no case inherits JIT feedback or GC debt from another.
+ * Returns one record per case in the harness format, with the per-process
+ * medians as samples and
+ *   isolation: { processes, pin, gc, medians, within, between }
+ * `within` is the mean spread (95% CI, % of mean) inside one process,
+ * `between` the spread of the medians across processes.
+ *
+ * Options: as runScript, plus
+ *   runs     processes per case (default 5)
+ *   gc       start children with --expose-gc and collect before timing
+ *   cases    labels to run (default: all, from a listing run)
+ *   onRun    called as (label, index, record) after each child
+ */
+function runIsolated(script, options = {}) {
+  const runs = options.runs || 5;
+  const flags = [...(options.flags || [])];
+  if (options.gc && !flags.includes('--expose-gc')) flags.push('--expose-gc');
+  const base = Object.assign({}, options, { flags, quiet: true });
+  const labels = options.cases || listCases(script, base);
+  if (!labels.length) throw new Error(`${script} measured no cases`);
+
+  return labels.map((label) => {
+    const records = [];
+    for (let i = 0; i < runs; i++) {
+      const env = Object.assign({}, options.env, { BENCH_CASE: label });
+      if (options.gc) env.BENCH_GC = '1';
+      const run = runScript(script, Object.assign({}, base, { env }));
+      if (run.error) throw run.error;
+      const record = run.records.find((r) => r.case === label && !r.listed);
+      if (!record) throw new Error(`${script}: no record for "${label}" (exit ${run.status})`);
+      records.push(record);
+      if (options.onRun) options.onRun(label, i, record);
+    }
+
+    const medians = records.map((r) => r.median);
+    const ci95 = stats.confidenceInterval(medians);
+    return Object.assign({}, records[0], {
+      samples: medians,
+      outliers: 0,
+      median: stats.median(medians),
+      mean: stats.mean(medians),
+      stddev: stats.stddev(medians),
+      ci95,
+      spread: spreadOf(medians),
+      min: Math.min(...medians),
+      max: Math.max(...medians),
+      baseline: records[0].baseline === undefined ? undefined : stats.median(records.map((r) => r.baseline)),
+      net: records[0].net === undefined ? undefined : stats.median(records.map((r) => r.net)),
+      memory: records[0].memory && {
+        bytesPerOp: stats.median(records.map((r) => r.memory.bytesPerOp)),
+        gcs: stats.median(records.map((r) => r.memory.gcs)),
+        gcPause: stats.median(records.map((r) => r.memory.gcPause)),
+      },
+      isolation: {
+        processes: runs,
+        pin: options.pin === undefined ? null : String(options.pin),
+        gc: Boolean(options.gc),
+        medians,
+        within: meanSpread(records),
+        between: spreadOf(medians),
+      },
+    });
+  });
+}
+
+const NVM_DIR = process.env.NVM_DIR || path.join(os.homedir(), '.nvm');
+
+/**
+ * A node binary from a path or a version: '22', 'v18', '20.19.5'.
+ * Versions are looked up in nvm's install dir, newest match wins.
+ */
+function resolveNode(spec) {
+  if (!spec) return process.execPath;
+  if (spec.includes('/') || spec.includes('\\')) return path.resolve(spec);
+
+  const prefix = spec.replace(/^v/, '');
+  const dir = path.join(NVM_DIR, 'versions', 'node');
+  const versions = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  const matches = versions
+    .filter((v) => v.slice(1) === prefix || v.slice(1).startsWith(prefix + '.'))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  if (!matches.length) {
+    throw new Error(`No node ${spec} in ${dir} (have: ${versions.join(', ') || 'none'})`);
+  }
+  return path.join(dir, matches[matches.length - 1], 'bin', 'node');
+}
+
+// "v20.19.5 (V8 11.3.244.8-node.30)"
+function nodeVersion(node = process.execPath) {
+  const out = spawnSync(node, ['-p', '`${process.version} (V8 ${process.versions.v8})`'], { encoding: 'utf8' });
+  return (out.stdout || '').trim();
+}
+
+const flagCache = new Map();
+
+// Names of the flags a node binary accepts, from `node --v8-options`
+function supportedFlags(node = process.execPath) {
+  if (flagCache.has(node)) return flagCache.get(node);
+  const out = spawnSync(node, ['--v8-options'], { encoding: 'utf8' }).stdout || '';
+  const names = new Set();
+  for (const m of out.matchAll(/^\s+--([\w-]+)\s/gm)) names.add(m[1].replace(/_/g, '-'));
+  flagCache.set(node, names);
+  return names;
+}
+
+// '--no-opt' -> 'opt', '--max-opt=0' -> 'max-opt'
+function flagName(flag) {
+  return flag.replace(/^--(no-)?/, '').replace(/=.*$/, '').replace(/_/g, '-');
+}
+
+function supportsFlags(flags, node) {
+  const names = supportedFlags(node);
+  return flags.every((f) => names.has(flagName(f)));
+}
+
+const flagValueCache = new Map();
+
+/**
+ * Whether a boolean V8 flag ('--maglev') is on in a run of `node` with
+ * `flags`, as --print-flag-values reports it. Passing a flag doesn't
+ * make it so: V8 can turn it off again (Node 20 and 22 report
+ * --no-maglev with --maglev on some x64 machines). Binaries without
+ * --print-flag-values are taken at their word.
+ */
+function flagEnabled(flag, flags = [], node = process.execPath) {
+  const key = [node, flag, ...flags].join(' ');
+  if (flagValueCache.has(key)) return flagValueCache.get(key);
+  let on;
+  if (!supportsFlags([flag, ...flags], node)) {
+    on = false;
+  } else if (!supportsFlags(['--print-flag-values'], node)) {
+    on = flags.includes(flag);
+  } else {
+    const out = spawnSync(node, [...flags, '--print-flag-values', '-e', '0'], { encoding: 'utf8' }).stdout || '';
+    on = out.split('\n').includes(flag);
+  }
+  flagValueCache.set(key, on);
+  return on;
+}
+
+module.exports = {
+  runScript,
+  runIsolated,
+  listCases,
+  parseRecords,
+  resolveNode,
+  nodeVersion,
+  supportedFlags,
+  supportsFlags,
+  flagEnabled,
+  experimentId,
+};
@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Small statistics toolkit for benchmark samples.
+ *
+ * All functions take plain arrays of numbers and never mutate them.
+ */
+
+function sorted(values) {
+  return values.slice().sort((a, b) => a - b);
+}
+
+function mean(values) {
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+// Sample standard deviation (n - 1)
+function stddev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  let sq = 0;
+  for (const v of values) sq += (v - m) * (v - m);
+  return Math.sqrt(sq / (values.length - 1));
+}
+
+// Linear interpolation between closest ranks, q in [0, 1]
+function quantile(values, q) {
+  const s = sorted(values);
+  const pos = (s.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return s[lo] + (s[hi] - s[lo]) * (pos - lo);
+}
+
+function median(values) {
+  return quantile(values, 0.5);
+}
+
+// Tukey fences: anything beyond 1.5 * IQR from the quartiles is an outlier.
+// Needs at least 4 samples to say anything meaningful.
+function rejectOutliers(values) {
+  if (values.length < 4) return { kept: values.slice(), outliers: [] };
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const kept = [];
+  const outliers = [];
+  for (const v of values) {
+    if (v < q1 - fence || v > q3 + fence) outliers.push(v);
+    else kept.push(v);
+  }
+  return { kept, outliers };
+}
+
+// Two-sided 95% Student t critical values, df = 1..30
+const T95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+function tCritical95(df) {
+  if (df < 1) return Infinity;
+  return df <= T95.length ? T95[df - 1] : 1.96;
+}
+
+// 95% confidence interval for the mean; null for fewer than two values,
+// which say nothing about the spread
+function confidenceInterval(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  const half = tCritical95(values.length - 1) * stddev(values) / Math.sqrt(values.length);
+  return [m - half, m + half];
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z < 0 ? (1 - erf) / 2 : (1 + erf) / 2;
+}
+
+// Null distribution of U for sample sizes m and n: counts[u] of the
+// orderings with that U. The largest value is either from the first
+// sample (it beats all n of the second) or from the second.
+function uDistribution(m, n) {
+  let prev = [];
+  for (let j = 0; j <= n; j++) prev.push([1]);
+  for (let i = 1; i <= m; i++) {
+    const cur = [[1]];
+    for (let j = 1; j <= n; j++) {
+      const counts = new Array(i * j + 1).fill(0);
+      prev[j].forEach((c, u) => { counts[u + j] += c; });
+      cur[j - 1].forEach((c, u) => { counts[u] += c; });
+      cur.push(counts);
+    }
+    prev = cur;
+  }
+  return prev[n];
+}
+
+/**
+ * Two-sided Mann-Whitney U test: do `a` and `b` come from the same
+ * distribution? Returns { u, p, exact }. u counts the pairs where the
+ * value from `a` is larger (ties count half). Without ties and up to 30
+ * values per side p is exact, otherwise from the normal approximation
+ * with tie and continuity correction.
+ */
+function mannWhitney(a, b) {
+  const m = a.length;
+  const n = b.length;
+  if (!m || !n) return { u: NaN, p: NaN, exact: false };
+
+  let u = 0;
+  let ties = false;
+  for (const x of a) {
+    for (const y of b) {
+      if (x > y) u += 1;
+      else if (x === y) {
+        u += 0.5;
+        ties = true;
+      }
+    }
+  }
+
+  if (!ties && m <= 30 && n <= 30) {
+    const counts = uDistribution(m, n);
+    let total = 0;
+    let below = 0;
+    let above = 0;
+    counts.forEach((c, k) => {
+      total += c;
+      if (k <= u) below += c;
+      if (k >= u) above += c;
+    });
+    return { u, p: Math.min(1, 2 * Math.min(below, above) / total), exact: true };
+  }
+
+  const all = sorted(a.concat(b));
+  let tieTerm = 0;
+  for (let i = 0; i < all.length;) {
+    let j = i;
+    while (j < all.length && all[j] === all[i]) j++;
+    const t = j - i;
+    tieTerm += t * t * t - t;
+    i = j;
+  }
+  const total = m + n;
+  const sigma = Math.sqrt(m * n / 12 * ((total + 1) - tieTerm / (total * (total - 1))));
+  if (sigma === 0) return { u, p: 1, exact: false };
+  const z = (Math.abs(u - m * n / 2) - 0.5) / sigma;
+  return { u, p: Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0)))), exact: false };
+}
+
+// Small seeded PRNG (mulberry32), so bootstrap intervals are reproducible
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Bootstrap 95% interval for median(b) / median(a): both samples are
+ * resampled with replacement `resamples` times (default 2000).
+ */
+function bootstrapRatio(a, b, options = {}) {
+  const resamples = options.resamples || 2000;
+  const next = random(options.seed || 1);
+  const resample = (values) => {
+    const out = new Array(values.length);
+    for (let i = 0; i < values.length; i++) out[i] = values[Math.floor(next() * values.length)];
+    return out;
+  };
+  const ratios = [];
+  for (let i = 0; i < resamples; i++) ratios.push(median(resample(b)) / median(resample(a)));
+  return [quantile(ratios, 0.025), quantile(ratios, 0.975)];
+}
+
+/**
+ * Least-squares step function through the points (xs ascending): the
+ * `segments` runs of consecutive points, each at its own level, that
+ * leave the smallest squared error. Exact, by dynamic programming over
+ * the split positions, O(n^2 * segments). Returns
+ *   { breaks, levels, sse }
+ * breaks[k] is the x where level k + 1 starts; levels are the segment
+ * means. Fit log values to compare ratios rather than differences.
+ */
+function stepFit(xs, ys, segments) {
+  const n = ys.length;
+  if (xs.length !== n) throw new Error('stepFit: xs and ys differ in length');
+  if (segments < 1 || segments > n) throw new Error(`stepFit: ${segments} segments for ${n} points`);
+
+  // Prefix sums give the squared error of any run in O(1)
+  const sum = [0];
+  const sumSq = [0];
+  for (let i = 0; i < n; i++) {
+    sum.push(sum[i] + ys[i]);
+    sumSq.push(sumSq[i] + ys[i] * ys[i]);
+  }
+  const cost = (from, to) => {
+    const s = sum[to] - sum[from];
+    return sumSq[to] - sumSq[from] - s * s / (to - from);
+  };
+
+  // best[k][j]: error of the first j points in k + 1 runs; start[k][j]:
+  // where the last of those runs begins
+  const best = [];
+  const start = [];
+  for (let k = 0; k < segments; k++) {
+    best.push(new Array(n + 1).fill(Infinity));
+    start.push(new Array(n + 1).fill(0));
+    for (let j = k + 1; j <= n; j++) {
+      if (k === 0) {
+        best[k][j] = cost(0, j);
+        continue;
+      }
+      for (let i = k; i < j; i++) {
+        const e = best[k - 1][i] + cost(i, j);
+        if (e < best[k][j]) {
+          best[k][j] = e;
+          start[k][j] = i;
+        }
+      }
+    }
+  }
+
+  const bounds = [n];
+  for (let k = segments - 1, j = n; k > 0; k--) {
+    j = start[k][j];
+    bounds.unshift(j);
+  }
+  bounds.unshift(0);
+  const levels = [];
+  for (let k = 0; k < segments; k++) {
+    levels.push((sum[bounds[k + 1]] - sum[bounds[k]]) / (bounds[k + 1] - bounds[k]));
+  }
+  return {
+    breaks: bounds.slice(1, -1).map((i) => xs[i]),
+    levels,
+    sse: Math.max(0, best[segments - 1][n]),
+  };
+}
+
+module.exports = {
+  mean,
+  stddev,
+  quantile,
+  median,
+  rejectOutliers,
+  tCritical95,
+  confidenceInterval,
+  normalCdf,
+  mannWhitney,
+  random,
+  bootstrapRatio,
+  stepFit,
+};
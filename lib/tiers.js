@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * V8 execution tiers and the flags that cap a run at each of them.
+ *
+ *   Ignition   bytecode interpreter
+ *   Sparkplug  baseline compiler (bytecode -> machine code, no optimization)
+ *   Maglev     mid-tier optimizing compiler (V8 11.x+, off by default in Node 20)
+ *   TurboFan   top-tier optimizing compiler
+ *
+ * Each tier lists flag sets from newest to oldest V8; the first one the
+ * node binary understands is used. Node 20+ has --max-opt, older versions
+ * only have the on/off switches. Maglev has no fallback: before V8 11 it
+ * doesn't exist, so the tier is skipped there. It is also skipped where
+ * V8 takes --maglev and turns it off again (Node 20 on some x64 machines):
+ * that run would be Sparkplug under a Maglev label.
+ */
+
+const { supportsFlags, flagEnabled } = require('./runner');
+
+const TIERS = [
+  {
+    name: 'ignition',
+    label: 'Ignition',
+    flagSets: [['--max-opt=0'], ['--no-opt', '--no-sparkplug']],
+  },
+  {
+    name: 'sparkplug',
+    label: 'Sparkplug',
+    flagSets: [['--sparkplug', '--max-opt=1'], ['--sparkplug', '--no-opt']],
+  },
+  {
+    // --max-opt=2 alone is Sparkplug in Node 20, Maglev has to be enabled too
+    name: 'maglev',
+    label: 'Maglev',
+    flagSets: [['--maglev', '--max-opt=2']],
+    // The flag V8 has to report on with the flag set, or the tier is off
+    requires: '--maglev',
+  },
+  {
+    // Default pipeline; includes Maglev where it's on by default (Node 22+)
+    name: 'turbofan',
+    label: 'TurboFan',
+    flagSets: [['--max-opt=3'], []],
+  },
+];
+
+function getTier(name) {
+  const tier = TIERS.find((t) => t.name === name.toLowerCase());
+  if (!tier) {
+    throw new Error(`Unknown tier "${name}" (expected ${TIERS.map((t) => t.name).join(', ')})`);
+  }
+  return tier;
+}
+
+// Flags that cap `node` at this tier, or null if it can't be done there
+function tierFlags(tier, node) {
+  const t = typeof tier === 'string' ? getTier(tier) : tier;
+  const flags = t.flagSets.find((set) => supportsFlags(set, node));
+  if (!flags || (t.requires && !flagEnabled(t.requires, flags, node))) return null;
+  return flags;
+}
+
+module.exports = {
+  TIERS,
+  getTier,
+  tierFlags,
+};
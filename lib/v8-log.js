@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Helpers for V8's --logfile output (v8.log), shared by the IC and map
+ * tools.
+ *
+ * run() runs a script with logging flags and returns the log text.
+ * codeMap() tracks code-creation / code-move events so that the pc of a
+ * later event can be resolved to the function (and file) it came from.
+ *
+ * Usage:
+ *   const { run, codeMap, fields, isNodeCode } = require('../lib/v8-log');
+ *   const code = codeMap();
+ *   for (const line of run('script.js', ['--log-ic']).split('\n')) {
+ *     const f = fields(line);
+ *     if (code.track(f)) continue;
+ *     if (f[0] === 'LoadIC' && !isNodeCode(code.at(f[1]))) ...
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// "readX /tmp/ic.js:1:15", " :1:20" (new Function), "node:internal/x:3:7"
+const CODE_NAME = /^(?:[~*^+-])?(.*?) ?(\S*):(\d+):(\d+)$/;
+
+function unescape(field) {
+  return field.replace(/\\x2C/g, ',').replace(/\\n/g, '\n');
+}
+
+// Splits a log line; commas inside fields are escaped as \x2C
+function fields(line) {
+  return line.split(',').map(unescape);
+}
+
+// Builtins and stubs have no script, and code from node's startup
+// snapshot has no code-creation event (null); both count as node's own
+function isNodeCode(entry) {
+  return !entry || !entry.script || entry.file.startsWith('node:') || entry.file.startsWith('internal/');
+}
+
+function codeMap() {
+  const code = new Map(); // start address -> { start, size, type, name, file, line, script, sfi }
+
+  return {
+    // Consumes code-creation / code-move lines; returns false for anything else
+    track(f) {
+      if (f[0] === 'code-creation' && f.length >= 7) {
+        const m = CODE_NAME.exec(f[6]);
+        code.set(f[4], {
+          start: parseInt(f[4], 16),
+          size: Number(f[5]),
+          type: f[1], // 'JS', 'Builtin', 'BytecodeHandler', 'RegExp', ...
+          name: m ? m[1] : f[6],
+          file: m ? m[2] : '',
+          line: m ? Number(m[3]) : null,
+          script: Boolean(m),
+          sfi: f[7] || f[4],
+        });
+        return true;
+      }
+      if (f[0] === 'code-move') {
+        const entry = code.get(f[1]);
+        if (entry) {
+          code.delete(f[1]);
+          code.set(f[2], Object.assign(entry, { start: parseInt(f[2], 16) }));
+        }
+        return true;
+      }
+      return false;
+    },
+
+    at(pc) {
+      const exact = code.get(pc);
+      if (exact) return exact;
+      const address = parseInt(pc, 16);
+      for (const entry of code.values()) {
+        if (address >= entry.start && address < entry.start + entry.size) return entry;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Runs `script` with the given logging flags and returns the log text.
+ * Options: node (binary), flags (extra V8 flags), args, env (extra
+ * environment variables), timeout (ms).
+ */
+function run(script, logFlags, options = {}) {
+  const node = options.node || process.execPath;
+  const file = path.resolve(script);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'v8-log-'));
+  const logfile = path.join(dir, 'v8.log');
+
+  try {
+    const child = spawnSync(node, [
+      ...logFlags,
+      `--logfile=${logfile}`,
+      '--no-logfile-per-isolate',
+      ...(options.flags || []),
+      file,
+      ...(options.args || []),
+    ], {
+      cwd: path.dirname(file),
+      env: Object.assign({}, process.env, options.env),
+      encoding: 'utf8',
+      stdio: ['ignore', 'ignore', 'pipe'],
+      timeout: options.timeout,
+    });
+    if (child.error) throw child.error;
+    if (child.status !== 0) {
+      const stderr = child.stderr.trim().split('\n').slice(0, 5).join('\n');
+      throw new Error(`${script} exited with ${child.status}:\n${stderr}`);
+    }
+    return fs.readFileSync(logfile, 'utf8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  run,
+  codeMap,
+  fields,
+  isNodeCode,
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Bytecode diff
+ *
+ * Prints two functions' bytecode side by side, aligned by opcode, and a
+ * summary of what differs. Either two functions from one script, or one
+ * function under two Node versions.
+ *
+ * Usage:
+ *   node tools/bytecode-diff.js v8-arrow-vs-function/closure-bytecode.js parentFunc parentArrow
+ *   node tools/bytecode-diff.js v8-delete-operator/bytecode.js withDelete withUndefined
+ *   node tools/bytecode-diff.js v8-const-opt/math.js getSum --node 16 --node 22
+ *
+ * Options:
+ *   --node <bin>   node binary or installed version; give it twice to
+ *                  compare one function across versions
+ *   --json         print rows and summary as JSON
+ *
+ * Row marks: ' ' same instruction, '~' same opcode with different operands,
+ * '-' only in the left function, '+' only in the right one.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { capture, stats } = require('../lib/bytecode');
+const { resolveNode, nodeVersion } = require('../lib/runner');
+const { diff } = require('../lib/diff');
+
+const SUMMARY_ROWS = [
+  ['instructions', 'instructions'],
+  ['bytes', 'bytes'],
+  ['registers', 'registers'],
+  ['constants', 'constant pool'],
+  ['contextSlots', 'context slots'],
+  ['feedbackSlots', 'feedback slots'],
+];
+
+function usage() {
+  console.error('Usage: node tools/bytecode-diff.js <script> <fnA> <fnB> [--node <bin>]');
+  console.error('       node tools/bytecode-diff.js <script> <fn> --node <a> --node <b>');
+  process.exit(2);
+}
+
+function load(script, name, node) {
+  let fns;
+  try {
+    fns = capture(script, name, { node, timeout: 60000 });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (fns.length === 0) {
+    console.error(`No bytecode for ${name} in ${script} (is it called?)`);
+    process.exit(1);
+  }
+  if (fns.length > 1) console.error(`${fns.length} functions match "${name}", using the first`);
+  const version = nodeVersion(node).split(' ')[0];
+  return { name, version, label: `${name} (node ${version})`, fn: fns[0], stats: stats(fns[0]) };
+}
+
+function align(left, right) {
+  return diff(left.fn.instructions, right.fn.instructions, (a, b) => a.opcode === b.opcode).map((r) => {
+    if (r.op === ' ' && r.a.text !== r.b.text) return Object.assign(r, { op: '~' });
+    return r;
+  });
+}
+
+function cell(ins) {
+  return ins ? `${String(ins.offset).padStart(4)}  ${ins.text}` : '';
+}
+
+function print(left, right, rows) {
+  const width = Math.max(left.label.length, ...rows.map((r) => cell(r.a).length)) + 4;
+  console.log(`    ${left.label.padEnd(width)}${right.label}`);
+  for (const r of rows) {
+    console.log(`${r.op}   ${cell(r.a).padEnd(width)}${cell(r.b)}`.trimEnd());
+  }
+
+  const count = (op) => rows.filter((r) => r.op === op).length;
+  const added = count('+');
+  const removed = count('-');
+  const changed = count('~');
+
+  console.log('');
+  const names = left.name === right.name ? [left.version, right.version] : [left.name, right.name];
+  const col = Math.max(12, ...names.map((n) => n.length)) + 2;
+  console.log(`${''.padEnd(16)}${names[0].padStart(col)}${names[1].padStart(col)}`);
+  for (const [key, label] of SUMMARY_ROWS) {
+    const a = left.stats[key];
+    const b = right.stats[key];
+    const mark = a === b ? '' : `   (${b > a ? '+' : ''}${b - a})`;
+    console.log(`  ${label.padEnd(14)}${String(a).padStart(col)}${String(b).padStart(col)}${mark}`);
+  }
+  console.log('');
+  if (added + removed + changed === 0) {
+    console.log('Identical bytecode.');
+  } else {
+    console.log(`${added} added, ${removed} removed, ${changed} with different operands`);
+  }
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        node: { type: 'string', multiple: true },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values, positionals } = parsed;
+  const [script, nameA, nameB] = positionals;
+  const nodes = (values.node || []).map(resolveNode);
+  if (!script || !nameA || nodes.length > 2 || (!nameB && nodes.length !== 2)) usage();
+
+  const file = path.resolve(script);
+  const nodeA = nodes[0] || process.execPath;
+  const nodeB = nodes[1] || nodeA;
+  const left = load(file, nameA, nodeA);
+  const right = load(file, nameB || nameA, nodeB);
+  const rows = align(left, right);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      left: { label: left.label, stats: left.stats },
+      right: { label: right.label, stats: right.stats },
+      rows: rows.map((r) => ({ op: r.op, left: r.a ? r.a.text : null, right: r.b ? r.b.text : null })),
+    }, null, 2));
+    return;
+  }
+  print(left, right, rows);
+}
+
+main();
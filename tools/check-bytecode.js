@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Golden bytecode check
+ *
+ * Finds the bytecode listings pasted into comments, regenerates them with
+ * --print-bytecode and reports the ones that no longer match. Listings go
+ * stale silently when Node (and with it V8) is upgraded; this catches it.
+ *
+ * Recognized listings:
+ *
+ *   /* node --print-bytecode --print-bytecode-filter='getSum' ...
+ *   179 S> 0x2f2b4f11d596 @    0 : 0d 05             LdaSmi [5]
+ *   194 S> 0x2f2b4f11d598 @    2 : a9                Return
+ *    *\/
+ *
+ *     Raw output. Addresses, offsets, bytes and source positions are
+ *     ignored; opcodes and operands must match exactly. A comment block
+ *     right after a `// node --print-bytecode-filter=...` line counts too.
+ *
+ *   /* sameString bytecode (12 bytes):
+ *     LdaConstant [0]   // a = "hello"
+ *     Star0
+ *    *\/
+ *
+ *     Hand-annotated, usually abridged. Only opcodes are compared, and they
+ *     only have to appear in the same order. The byte count is checked too.
+ *     Listings of inner functions ("Callback (6 bytes):") are not checked.
+ *
+ * d8 listings are skipped. Bytecode in any other shape (a listing under
+ * "makeEmptyClosure:", one line "Ldar a0, MulSmi [2], Return", a callback
+ * inside an annotated listing) is not checked and is reported as
+ * "unchecked" with its line, so it can be rewritten in one of the forms
+ * above.
+ *
+ * Usage:
+ *   node tools/check-bytecode.js                      # every experiment
+ *   node tools/check-bytecode.js v8-const-opt var-let-const-statement/v8-hole-check.js
+ *   node tools/check-bytecode.js --node 22            # nvm version or binary path
+ *   node tools/check-bytecode.js --verbose            # list passing ones too
+ *
+ * Exits with 1 if any listing is stale; unchecked listings don't fail it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { capture, parseInstruction } = require('../lib/bytecode');
+const { resolveNode, nodeVersion } = require('../lib/runner');
+const { diff } = require('../lib/diff');
+
+const ROOT = path.resolve(__dirname, '..');
+const SKIP_DIRS = new Set(['node_modules', 'lib', 'tools', 'results']);
+
+const FILTER = /--print-bytecode-filter=(['"]?)([\w$]+)\1(?:\s|$)/;
+const SUMMARY = /^([\w$]+)(?: constructor)? bytecode \((\d+) bytes\b/;
+const SINGLE_WORD_OPCODES = new Set([
+  'Return', 'Ldar', 'Star', 'Mov', 'Add', 'Sub', 'Mul', 'Div', 'Mod', 'Exp',
+  'Inc', 'Dec', 'Throw', 'ReThrow', 'Jump', 'Construct', 'Debugger', 'Abort',
+  'Illegal', 'Wide', 'ExtraWide',
+]);
+
+const OPERAND = /^(?:[ar]\d+|r\d+-r\d+|\[(?:-?\d+|[\w$]+)\]|#-?\d+|<[^>]*>|-?\d+|@\d+)$/;
+
+function isOpcode(token) {
+  const base = token.replace(/\.(Wide|ExtraWide)$/, '');
+  return SINGLE_WORD_OPCODES.has(base.replace(/\d+$/, '')) ||
+    /^(?:[A-Z][a-z]+){2,}\d*$/.test(base);
+}
+
+// Opcodes of an annotated line: "Ldar r1 / GetKeyedProperty a0   // a[i]"
+function annotatedOpcodes(line) {
+  const code = line.replace(/\/\/.*$/, '').replace(/\([^)]*\)/g, '').trim();
+  const first = /^[A-Z][\w.]*/.exec(code);
+  if (!first || !isOpcode(first[0])) return [];
+  const opcodes = [];
+  for (const part of code.split(/\s*(?:\/|,)\s+/)) {
+    const token = /^[A-Z][\w.]*/.exec(part);
+    if (token && isOpcode(token[0])) opcodes.push(token[0]);
+  }
+  return opcodes;
+}
+
+// A comment line that holds nothing but bytecode: "Ldar a0, MulSmi [2],
+// Return  (6 bytes)" or raw --print-bytecode output. 0 if it doesn't,
+// 2 if it has operands, 1 for bare opcodes (could be a word in prose).
+function bytecodeLine(line) {
+  const text = line.replace(/^\s*(?:\/\/|\/?\*+\/?)\s?/, '');
+  if (parseInstruction(text)) return 2;
+  const code = text.replace(/\/\/.*$/, '').replace(/\([^)]*\)/g, '').trim();
+  const tokens = code.split(/[\s,/]+|(?=\[)/).filter(Boolean);
+  if (!tokens.length || !isOpcode(tokens[0]) || !tokens.every((t) => isOpcode(t) || OPERAND.test(t))) return 0;
+  return tokens.some((t) => OPERAND.test(t)) ? 2 : 1;
+}
+
+// Runs of bytecode lines in comments that no recognized listing covers
+function uncheckedRuns(lines, listings) {
+  const covered = (n) => listings.some((l) => n >= l.line && n <= l.end);
+  const runs = [];
+  let inBlock = false;
+  let run = null;
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    const comment = inBlock || trimmed.startsWith('//') || trimmed.startsWith('/*');
+    if (trimmed.startsWith('/*')) inBlock = true;
+    if (inBlock && trimmed.includes('*/')) inBlock = false;
+
+    const kind = comment ? bytecodeLine(lines[i]) : 0;
+    if (kind && !covered(i + 1)) {
+      if (!run) runs.push(run = { line: i + 1, end: i + 1, operands: false });
+      else run.end = i + 1;
+      if (kind === 2) run.operands = true;
+    } else if (!comment || !/^(?:\/\/|\*)?\s*$/.test(trimmed) || run === null) {
+      run = null;
+    }
+  }
+  return runs.filter((r) => r.operands);
+}
+
+function commentBlocks(lines) {
+  const blocks = [];
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (trimmed.startsWith('/*')) {
+      const start = i;
+      const body = [];
+      let first = trimmed.slice(2);
+      while (!lines[i].includes('*/') && i < lines.length - 1) {
+        i++;
+        body.push(lines[i].replace(/\*\/.*$/, ''));
+      }
+      if (first.includes('*/')) first = first.replace(/\*\/.*$/, '');
+      blocks.push({ line: start + 1, end: i + 1, first: first.replace(/^\*+/, '').trim(), body, before: lines.slice(Math.max(0, start - 4), start) });
+    } else if (trimmed.startsWith('//')) {
+      // Within a run of // comments, "name bytecode (N bytes):" starts a
+      // listing that runs until the next empty comment line
+      const m = SUMMARY.exec(trimmed.replace(/^\/\/\s*/, ''));
+      if (!m) continue;
+      const start = i;
+      const body = [];
+      while (i + 1 < lines.length && /^\s*\/\/\s*\S/.test(lines[i + 1])) {
+        i++;
+        body.push(lines[i].replace(/^\s*\/\/\s?/, ''));
+      }
+      blocks.push({ line: start + 1, end: i + 1, first: trimmed.replace(/^\/\/\s*/, ''), body, before: [] });
+    }
+  }
+  return blocks;
+}
+
+function toListing(file, block) {
+  const listing = { file, line: block.line, end: block.end, name: null, engine: 'node', bytes: null, exact: false, expected: [] };
+
+  const summary = SUMMARY.exec(block.first);
+  if (summary) {
+    listing.name = summary[1];
+    listing.bytes = Number(summary[2]);
+    for (const [k, line] of block.body.entries()) {
+      if (/^\s*(Callback|Constant pool)\b/i.test(line)) {
+        // What follows is another function's listing
+        listing.end = block.line + k;
+        break;
+      }
+      listing.expected.push(...annotatedOpcodes(line));
+    }
+    return listing.expected.length ? listing : null;
+  }
+
+  // Raw output; the command is on the first line or in a // line just above
+  let command = /--print-bytecode/.test(block.first) ? block.first : null;
+  if (!command && block.first === '') {
+    command = block.before.reverse().find((l) => /^\s*\/\/\s*node .*--print-bytecode/.test(l)) || null;
+  }
+  const filter = command && FILTER.exec(command);
+  if (!filter) return null;
+  listing.name = filter[2];
+  if (/^\s*(\/\/\s*)?d8\b/.test(command)) listing.engine = 'd8';
+
+  const instructions = block.body.map(parseInstruction).filter(Boolean);
+  if (instructions.length) {
+    listing.exact = true;
+    listing.expected = instructions.map((ins) => ins.text);
+  } else {
+    // Listing without addresses (hole-check): opcodes with operands, one per line
+    for (const line of block.body) {
+      const ops = annotatedOpcodes(line);
+      if (ops.length) listing.expected.push(line.replace(/\/\/.*$/, '').trim().replace(/\s+/g, ' '));
+    }
+    listing.exact = true;
+  }
+  return listing.expected.length ? listing : null;
+}
+
+function findListings(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const listings = [];
+  for (const block of commentBlocks(lines)) {
+    const listing = toListing(file, block);
+    if (listing) listings.push(listing);
+  }
+  for (const run of uncheckedRuns(lines, listings)) {
+    listings.push({ file, line: run.line, end: run.end, name: null, engine: null });
+  }
+  return listings.sort((a, b) => a.line - b.line);
+}
+
+function walk(target, files) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) {
+    if (target.endsWith('.js')) files.push(target);
+    return files;
+  }
+  for (const entry of fs.readdirSync(target).sort()) {
+    if (entry.startsWith('.') || SKIP_DIRS.has(entry)) continue;
+    walk(path.join(target, entry), files);
+  }
+  return files;
+}
+
+// Compare one captured function against a listing; returns diff rows and problems
+function compare(listing, fn) {
+  const actual = listing.exact ? fn.instructions.map((ins) => ins.text) : fn.instructions.map((ins) => ins.opcode);
+  const rows = diff(listing.expected, actual);
+  const problems = [];
+  const missing = rows.filter((r) => r.op === '-').length;
+  const extra = rows.filter((r) => r.op === '+').length;
+  if (missing || (listing.exact && extra)) problems.push('instructions differ');
+  if (listing.bytes !== null && fn.length !== listing.bytes) {
+    problems.push(`length: recorded ${listing.bytes} bytes, now ${fn.length}`);
+  }
+  return { rows, problems };
+}
+
+function printDiff(listing, rows) {
+  console.log(listing.exact
+    ? '      - recorded   + current'
+    : '      - recorded, missing now   + current (comment is abridged, these are fine)');
+  for (const r of rows) {
+    if (r.op === ' ') console.log(`        ${r.a}`);
+    else if (r.op === '-') console.log(`      - ${r.a}`);
+    else console.log(`      + ${r.b}`);
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      node: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  const node = resolveNode(values.node);
+  const targets = positionals.length ? positionals.map((p) => path.resolve(p)) : [ROOT];
+  const files = targets.flatMap((t) => walk(t, []));
+  const captured = new Map();
+  const counts = { ok: 0, failed: 0, skipped: 0, unchecked: 0 };
+
+  for (const file of files) {
+    for (const listing of findListings(file)) {
+      const where = `${path.relative(ROOT, file)}:${listing.line} ${listing.name}`;
+
+      if (listing.engine === null) {
+        counts.unchecked++;
+        console.log(`unchecked  ${path.relative(ROOT, file)}:${listing.line}-${listing.end} (listing format not recognized)`);
+        continue;
+      }
+
+      if (listing.engine !== 'node') {
+        counts.skipped++;
+        if (values.verbose) console.log(`skip  ${where} (${listing.engine} listing)`);
+        continue;
+      }
+
+      const key = `${file}\0${listing.name}`;
+      if (!captured.has(key)) {
+        try {
+          captured.set(key, capture(file, listing.name, { node, timeout: 60000 }));
+        } catch (e) {
+          captured.set(key, e);
+        }
+      }
+      const fns = captured.get(key);
+      if (fns instanceof Error || fns.length === 0) {
+        counts.failed++;
+        console.log(`FAIL  ${where}`);
+        console.log(fns instanceof Error
+          ? `      ${fns.message.split('\n').join('\n      ')}`
+          : '      no bytecode printed (function renamed, or never called?)');
+        continue;
+      }
+
+      // Several functions can share a name; any of them matching is fine
+      const results = fns.map((fn) => compare(listing, fn));
+      const best = results.reduce((a, b) => (b.problems.length < a.problems.length ? b : a));
+      if (best.problems.length === 0) {
+        counts.ok++;
+        if (values.verbose) console.log(`ok    ${where}`);
+        continue;
+      }
+
+      counts.failed++;
+      console.log(`FAIL  ${where}: ${best.problems.join('; ')}`);
+      if (best.problems.includes('instructions differ')) printDiff(listing, best.rows);
+    }
+  }
+
+  console.log(`\nNode ${nodeVersion(node)}: ${counts.ok} ok, ${counts.failed} stale, ${counts.skipped} skipped, ${counts.unchecked} unchecked`);
+  if (counts.failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tier harness smoke test
+ *
+ * Runs a small suite under --allow-natives-syntax with a case per tier
+ * (ignition, sparkplug, maglev, turbofan) for each kind of function the
+ * harness gets handed, and checks what became of each case:
+ *
+ *   arrow        (i) => o.x + i, one source for every tier: timed, or
+ *                refused because the tier is off in this node; never
+ *                refused over a tier an earlier case put it in
+ *   async arrow  the same through bench.async()
+ *   bound        readX.bind(o): refused as not a plain function; V8
+ *                aborts on it in the runtime functions, so a crash here
+ *                means a call got through unguarded
+ *
+ * The suite runs twice, as is and with --no-sparkplug (where Ignition can
+ * be held), and each run once in the tier order and once reversed.
+ *
+ * Usage:
+ *   node tools/check-tiers.js
+ *   node tools/check-tiers.js --node 22      # nvm version or binary path
+ *
+ * Exits with 1 if a case ended up wrong or the suite crashed.
+ */
+
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+const { resolveNode, nodeVersion } = require('../lib/runner');
+const { TIERS } = require('../lib/tiers');
+
+// Refusals that mean the tier can't be had here, not that the harness
+// got it wrong (the hints tierMismatch() in lib/opt-status.js gives)
+const UNREACHABLE = /Sparkplug compiles hot functions|--no-sparkplug|--no-maglev/;
+
+const FLAG_SETS = [[], ['--no-sparkplug']];
+
+// Set in the child that runs the suite; the order of tiers, comma-separated
+const SUITE_ENV = 'CHECK_TIERS_SUITE';
+
+async function runSuite(order) {
+  const { suite } = require('../lib/bench');
+  // No calibration: a baseline refused in an unreachable tier would hide
+  // what became of the case itself
+  const bench = suite({ iterations: 1e4, samples: 3, quiet: true, memory: false, calibrate: false });
+  const o = { x: 1 };
+  function readX(i) {
+    return this.x + i;
+  }
+  // One function literal, so every tier gets a closure of the same code
+  const arrow = () => (i) => o.x + i;
+  const asyncArrow = () => async (i) => o.x + i;
+
+  // Refused cases are not in bench.results, so keep what bench() returns
+  const results = [];
+  for (const tier of order) {
+    results.push(bench(`${tier} arrow`, arrow(), { tier }));
+    results.push(await bench.async(`${tier} async arrow`, asyncArrow(), { tier, iterations: 1e3 }));
+    results.push(bench(`${tier} bound`, readX.bind(o), { tier }));
+  }
+  const summary = results.map((r) => ({ label: r.label, refused: r.refused, median: r.median }));
+  process.stdout.write(JSON.stringify(summary) + '\n');
+}
+
+// What is wrong with the case's result, or null
+function problem(result) {
+  if (!result) return 'missing';
+  if (result.label.endsWith(' bound')) {
+    if (!result.refused) return 'timed, should have been refused';
+    if (!/not a plain JS function/.test(result.refused)) return `refused for another reason: ${result.refused}`;
+    return null;
+  }
+  if (result.refused && !UNREACHABLE.test(result.refused)) return `refused: ${result.refused}`;
+  if (!result.refused && !(result.median > 0)) return 'no timing';
+  return null;
+}
+
+function check(node, flags, order) {
+  const child = spawnSync(node, ['--allow-natives-syntax', ...flags, __filename], {
+    env: Object.assign({}, process.env, { [SUITE_ENV]: order.join(',') }),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 300000,
+  });
+  const where = `${['node', ...flags].join(' ')}, ${order.join(' > ')}`;
+  // Refused cases set exit code 1; anything else is a crash
+  if (child.error || child.signal || (child.status !== 0 && child.status !== 1)) {
+    const how = child.error ? child.error.message : child.signal || `exit ${child.status}`;
+    const last = (child.stderr || '').trim().split('\n').slice(-3).join('\n      ');
+    console.log(`FAIL  ${where}: crashed (${how})\n      ${last}`);
+    return 1;
+  }
+
+  let results;
+  try {
+    results = JSON.parse(child.stdout.trim().split('\n').pop());
+  } catch (e) {
+    console.log(`FAIL  ${where}: no results from the suite`);
+    return 1;
+  }
+
+  let failed = 0;
+  for (const tier of order) {
+    for (const kind of ['arrow', 'async arrow', 'bound']) {
+      const label = `${tier} ${kind}`;
+      const result = results.find((r) => r.label === label);
+      const wrong = problem(result);
+      if (wrong) {
+        console.log(`FAIL  ${where}: ${label} ${wrong}`);
+        failed++;
+      } else {
+        console.log(`ok    ${where}: ${label} ${result.refused ? `refused (${result.refused})` : 'timed'}`);
+      }
+    }
+  }
+  return failed;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      node: { type: 'string' },
+    },
+  });
+
+  const node = resolveNode(values.node);
+  const order = TIERS.map((t) => t.name);
+  let failed = 0;
+  for (const flags of FLAG_SETS) {
+    failed += check(node, flags, order);
+    failed += check(node, flags, order.slice().reverse());
+  }
+  console.log(`\nNode ${nodeVersion(node)}: ${failed ? `${failed} failed` : 'all cases ok'}`);
+  if (failed) process.exitCode = 1;
+}
+
+if (process.env[SUITE_ENV]) {
+  runSuite(process.env[SUITE_ENV].split(',')).catch((e) => {
+    console.error(e);
+    process.exitCode = 2;
+  });
+} else {
+  main();
+}
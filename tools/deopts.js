@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Deoptimization report
+ *
+ * Runs a script with --trace-deopt and prints one row per bailout:
+ * function, kind (eager / lazy / soft), reason, bytecode offset, source
+ * location and the tier whose code was thrown away.
+ *
+ * Usage:
+ *   node tools/deopts.js v8-smi-deopt/deopt-trace.js
+ *   node tools/deopts.js v8-smi-deopt/deopt-trace.js --json
+ *   node tools/deopts.js v8-smi-deopt/deopt-trace.js --expect 'stableAdd:not a Smi'
+ *
+ * Options:
+ *   --json              print the entries as a JSON array
+ *   --node <bin>        node binary or installed version (22, v18.20.8)
+ *   --expect fn:reason  exit 1 unless `fn` deopts with a reason containing
+ *                       `reason` (case-insensitive); repeatable
+ *   -- <args>           passed through to the script
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { trace } = require('../lib/deopt');
+const { resolveNode } = require('../lib/runner');
+
+function usage() {
+  console.error('Usage: node tools/deopts.js <script> [--json] [--node <bin>] [--expect fn:reason] [-- script args]');
+  process.exit(2);
+}
+
+function where(d) {
+  if (!d.file) return '';
+  const loc = `${path.relative(process.cwd(), d.file)}:${d.line}:${d.column}`;
+  return d.inlinedAt.length ? `${loc} (inlined into ${d.inlinedAt.map((l) => `${l.line}:${l.column}`).join(' < ')})` : loc;
+}
+
+function table(deopts) {
+  const rows = deopts.map((d) => [
+    d.function || '(anonymous)',
+    d.kind,
+    d.reason || '',
+    d.bytecodeOffset === null ? '' : String(d.bytecodeOffset),
+    where(d),
+    d.tier || '',
+  ]);
+  const header = ['Function', 'Kind', 'Reason', 'Offset', 'Location', 'Tier'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 3 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ').trimEnd();
+
+  console.log(line(header));
+  console.log(line(widths.map((w) => '-'.repeat(w))));
+  for (const r of rows) console.log(line(r));
+
+  const byReason = new Map();
+  for (const d of deopts) byReason.set(d.reason, (byReason.get(d.reason) || 0) + 1);
+  console.log('');
+  console.log(`${deopts.length} deopt${deopts.length === 1 ? '' : 's'}: ` +
+    [...byReason].map(([reason, n]) => `${n}x ${reason}`).join(', '));
+}
+
+function matches(deopts, expectation) {
+  const i = expectation.indexOf(':');
+  const fn = i < 0 ? expectation : expectation.slice(0, i);
+  const reason = i < 0 ? '' : expectation.slice(i + 1).toLowerCase();
+  return deopts.some((d) => d.function === fn && (d.reason || '').toLowerCase().includes(reason));
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean', default: false },
+        node: { type: 'string' },
+        expect: { type: 'string', multiple: true },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values, positionals } = parsed;
+  const [script, ...args] = positionals;
+  if (!script) usage();
+
+  let deopts;
+  try {
+    deopts = trace(script, { node: resolveNode(values.node), args });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (values.json) console.log(JSON.stringify(deopts, null, 2));
+  else if (deopts.length) table(deopts);
+  else console.log('No deopts.');
+
+  for (const expectation of values.expect || []) {
+    if (!matches(deopts, expectation)) {
+      console.error(`Expected deopt not seen: ${expectation}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
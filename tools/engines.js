@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Cross-engine runner
+ *
+ * Runs one experiment in every JavaScript engine installed here (Node,
+ * Bun, Deno, and the d8 / jsc / SpiderMonkey shells, see lib/engines.js)
+ * and prints a case x engine table of median ns/op. Scripts that don't
+ * use lib/bench.js get each engine's output side by side instead, which
+ * is what timers/set-timeout.js needs.
+ *
+ * Usage:
+ *   node tools/engines.js list
+ *   node tools/engines.js run v8-proxy/bench.js
+ *   node tools/engines.js run timers/set-timeout.js --engine node --engine d8
+ *   node tools/engines.js run v8-map-vs-object/bench.js --engine d8=~/v8/out/x64.release/d8
+ *   node tools/engines.js run v8-proxy/bench.js --json > proxy-engines.ndjson
+ *
+ * Options:
+ *   --engine <name>[=<bin>]  only this engine (repeatable); =<bin> picks the
+ *                            binary, for node also an nvm version (node=22)
+ *   --timeout <s>            kill a run after this many seconds (default 600)
+ *   --json                   print the records (with `engine`) as NDJSON
+ *   --quiet                  hide the script's own output while it runs
+ *   -- <args>                passed through to the script
+ *
+ * In the shells, scripts that need more of Node than lib/prelude.js
+ * provides (natives syntax, fs writes, child processes) fail; the table
+ * shows '-' for them and the run is reported. File reads, binary ones
+ * like the wasm modules included, go through the shell's own reader.
+ */
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const engines = require('../lib/engines');
+const { formatNs, formatSpread } = require('../lib/bench');
+const { describe } = require('../lib/fingerprint');
+
+function usage() {
+  console.error('Usage: node tools/engines.js list');
+  console.error('       node tools/engines.js run <script> [--engine <name>[=<bin>]]... [--timeout <s>]');
+  console.error('                                [--json] [--quiet] [-- script args]');
+  process.exit(2);
+}
+
+function label(e) {
+  return `${e.name}${e.version ? ` ${e.version}` : ''}`;
+}
+
+function table(script, runs) {
+  const cases = [];
+  for (const run of runs) {
+    for (const r of run.records) {
+      if (!cases.includes(r.case)) cases.push(r.case);
+    }
+  }
+
+  const lines = [];
+  lines.push(`## ${path.relative(process.cwd(), script)}`);
+  lines.push('');
+  for (const run of runs) {
+    const env = run.records.map((r) => r.env).find(Boolean);
+    lines.push(`- ${run.engine.name}: ${env ? describe(env) : run.failure || 'no records'}`);
+  }
+  lines.push('');
+  lines.push('Median ns/op, ± is the 95% CI.');
+  lines.push('');
+  lines.push(`| Case | ${runs.map((run) => label(run.engine)).join(' | ')} |`);
+  lines.push(`|------|${runs.map(() => '------').join('|')}|`);
+  for (const c of cases) {
+    const cells = runs.map((run) => {
+      const r = run.records.find((rec) => rec.case === c);
+      return r ? `${formatNs(r.median)} ${formatSpread(r.spread)}` : '-';
+    });
+    lines.push(`| ${c.replace(/\|/g, '\\|')} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+// For scripts without bench records: what each engine printed
+function outputs(script, runs) {
+  const lines = [`## ${path.relative(process.cwd(), script)}`];
+  for (const run of runs) {
+    lines.push('');
+    lines.push(`### ${label(run.engine)}${run.failure ? ` (${run.failure})` : ''}`);
+    lines.push('');
+    lines.push('```');
+    lines.push(run.stdout.replace(/\n$/, '') || '(no output)');
+    lines.push('```');
+  }
+  return lines.join('\n');
+}
+
+function parseEngines(specs) {
+  const overrides = {};
+  const only = [];
+  for (const spec of specs || []) {
+    const [name, bin] = spec.split('=');
+    const engine = engines.getEngine(name);
+    only.push(engine.name);
+    if (bin) overrides[engine.name] = bin.replace(/^~(?=\/)/, os.homedir());
+  }
+  return { overrides, only: only.length ? only : null };
+}
+
+function list() {
+  const found = engines.detect();
+  const width = Math.max(...found.map((e) => label(e).length));
+  for (const e of found) console.log(`${label(e).padEnd(width)}  ${e.bin}`);
+  const missing = engines.ENGINES.filter((e) => !found.some((f) => f.name === e.name));
+  if (missing.length) console.log(`\nNot found: ${missing.map((e) => `${e.name} (${e.bins.join(', ')})`).join('; ')}`);
+}
+
+function runAll(script, args, values) {
+  const { overrides, only } = parseEngines(values.engine);
+  const selected = engines.detect(overrides, only);
+  const file = path.resolve(script);
+  const timeout = Number(values.timeout) * 1000;
+
+  const runs = [];
+  for (const engine of selected) {
+    console.error(`\n# ${label(engine)}: ${engine.bin}`);
+    const run = engines.run(engine, file, { args, quiet: values.quiet, timeout });
+    let failure = null;
+    if (run.error || run.status !== 0) {
+      failure = run.error ? run.error.message : run.signal ? `killed by ${run.signal}` : `exit ${run.status}`;
+      console.error(`# ${engine.name}: ${failure}`);
+    }
+    runs.push({ engine, records: run.records, stdout: run.stdout, failure });
+
+    if (values.json) {
+      for (const r of run.records) {
+        process.stdout.write(JSON.stringify(Object.assign({ engine: engine.name }, r)) + '\n');
+      }
+    }
+  }
+
+  if (!values.json) {
+    console.log('');
+    console.log(runs.some((run) => run.records.length) ? table(file, runs) : outputs(file, runs));
+  }
+  if (runs.some((run) => run.failure)) process.exitCode = 1;
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        engine: { type: 'string', multiple: true },
+        timeout: { type: 'string', default: '600' },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+  const { values, positionals } = parsed;
+  const [command, script, ...args] = positionals;
+
+  try {
+    if (command === 'list' && !script) list();
+    else if (command === 'run' && script) runAll(script, args, values);
+    else usage();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Experiment runner
+ *
+ * Lists and runs experiments from their experiment.json manifests (see
+ * lib/manifest.js), with the V8 flags each script needs, so nobody has to
+ * copy run lines out of header comments.
+ *
+ * Usage:
+ *   node tools/experiments.js list                       # every folder, script and command
+ *   node tools/experiments.js list --tag closures
+ *   node tools/experiments.js tags
+ *   node tools/experiments.js run v8-proxy
+ *   node tools/experiments.js run v8-smi-deopt/deopt-trace.js
+ *   node tools/experiments.js run --tag closures
+ *   node tools/experiments.js run --all --node 22
+ *
+ * Options:
+ *   --tag <tag>        only folders with this tag
+ *   --all              (run) every folder
+ *   --node <bin>       (run) node binary or installed version (22, v18, ...)
+ *   --flag <v8 flag>   (run) extra flag for every script
+ *   --dry-run          (run) print the commands instead of running them
+ *   --json             (list) print the manifests as JSON
+ *
+ * Scripts run in their own folder. One that runs over 10x its expected
+ * runtime (at least a minute) is killed. Scripts whose flags the node
+ * binary does not know are skipped. run exits with 1 if any script failed.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+const manifest = require('../lib/manifest');
+const { resolveNode, supportsFlags } = require('../lib/runner');
+const { describe, probe } = require('../lib/fingerprint');
+
+function usage() {
+  console.error('Usage: node tools/experiments.js list [--tag <tag>] [--json]');
+  console.error('       node tools/experiments.js tags');
+  console.error('       node tools/experiments.js run <folder|script>... | --tag <tag> | --all');
+  console.error('                                 [--node <bin>] [--flag <v8 flag>] [--dry-run]');
+  process.exit(2);
+}
+
+function name(m, script) {
+  return `${m.dir}/${script.file}${script.label ? ` (${script.label})` : ''}`;
+}
+
+function printList(manifests, values) {
+  if (values.json) return console.log(JSON.stringify(manifests, null, 2));
+
+  for (const m of manifests) {
+    console.log(`${m.dir}  ${m.what}  [${m.tags.join(', ')}]`);
+    const rows = m.scripts.map((s) => {
+      const runs = manifest.invocations(m, s);
+      const more = runs.length > 1 ? `  (+${runs.length - 1} more)` : '';
+      const label = s.file + (s.label ? ` (${s.label})` : '');
+      return [label, s.manual ? 'manual' : `~${s.runtime}s`, runs[0].command + more];
+    });
+    const width = Math.max(...rows.map((r) => r[0].length));
+    for (const [label, runtime, command] of rows) {
+      console.log(`  ${label.padEnd(width)}  ${runtime.padStart(6)}  ${command}`);
+    }
+  }
+  if (!values.tag) {
+    const missing = manifest.folders().filter((dir) => !manifests.some((m) => m.dir === dir));
+    if (missing.length) console.log(`\nNo ${manifest.FILE}: ${missing.join(', ')}`);
+  }
+}
+
+function printTags(manifests) {
+  const tags = new Map();
+  for (const m of manifests) {
+    for (const t of m.tags) tags.set(t, (tags.get(t) || []).concat(m.dir));
+  }
+  for (const [tag, dirs] of [...tags].sort((a, b) => a[0].localeCompare(b[0]))) {
+    console.log(`${tag.padEnd(12)} ${dirs.join(', ')}`);
+  }
+}
+
+function run(selected, values) {
+  const node = resolveNode(values.node);
+  const extra = values.flag || [];
+  const failed = [];
+  const skipped = [];
+  let count = 0;
+  const started = Date.now();
+
+  if (!values['dry-run']) console.log(describe(probe(node, extra)));
+
+  for (const m of selected) {
+    for (const script of m.scripts) {
+      const runs = manifest.invocations(m, script);
+      const flags = [...new Set(runs.flatMap((r) => r.flags).concat(extra))];
+      const unsupported = flags.filter((f) => f !== '--allow-natives-syntax' && !supportsFlags([f], node));
+      if (unsupported.length) {
+        skipped.push(`${name(m, script)}: node does not support ${unsupported.join(' ')}`);
+        continue;
+      }
+
+      for (const r of runs) {
+        const args = [...r.flags, ...extra, r.file];
+        const command = ['node', ...r.flags, ...extra, script.file].join(' ');
+        if (values['dry-run']) {
+          console.log(`(cd ${m.dir} && ${command})`);
+          continue;
+        }
+
+        console.log(`\n=== ${name(m, script)}: ${command}\n`);
+        const t0 = Date.now();
+        const child = spawnSync(node, args, {
+          cwd: path.dirname(r.file),
+          stdio: 'inherit',
+          timeout: Math.max(60, script.runtime * 10) * 1000,
+        });
+        count++;
+        const seconds = ((Date.now() - t0) / 1000).toFixed(1);
+        if (child.error || child.status !== 0) {
+          const why = child.error ? child.error.message : child.signal ? `killed by ${child.signal}` : `exit ${child.status}`;
+          failed.push(`${name(m, script)}: ${why}`);
+          console.log(`\n--- failed (${why}) after ${seconds}s`);
+        } else {
+          console.log(`\n--- ok in ${seconds}s`);
+        }
+      }
+    }
+  }
+  if (values['dry-run']) return;
+
+  console.log(`\n${count} runs in ${((Date.now() - started) / 1000).toFixed(0)}s, ${failed.length} failed, ${skipped.length} skipped`);
+  for (const f of failed) console.log(`  failed: ${f}`);
+  for (const s of skipped) console.log(`  skipped: ${s}`);
+  if (failed.length) process.exitCode = 1;
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        tag: { type: 'string' },
+        all: { type: 'boolean', default: false },
+        node: { type: 'string' },
+        flag: { type: 'string', multiple: true },
+        'dry-run': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+  const { values, positionals } = parsed;
+  const [command, ...names] = positionals;
+
+  try {
+    const manifests = manifest.all();
+    if (command === 'list' && !names.length) {
+      printList(manifests.filter((m) => !values.tag || m.tags.includes(values.tag)), values);
+    } else if (command === 'tags' && !names.length) {
+      printTags(manifests);
+    } else if (command === 'run' && (names.length || values.tag || values.all)) {
+      const selected = manifest.select(manifests, { names, tag: values.tag });
+      if (!selected.length) throw new Error(`Nothing matches ${names.join(' ') || `--tag ${values.tag}`}`);
+      run(selected, values);
+    } else {
+      usage();
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Key findings, checked against stored results
+ *
+ * Evaluates every experiment.json finding (see lib/findings.js) against
+ * the newest stored run that measured that experiment, prints the values
+ * and whether each claim still holds, and with --write rebuilds the README
+ * experiments table and the figure blocks of v8-perf-guide.md from them.
+ *
+ * Usage:
+ *   node tools/results.js record                 # measure first
+ *   node tools/findings.js                       # report
+ *   node tools/findings.js --write               # update README.md and v8-perf-guide.md
+ *   node tools/findings.js --run 22 v8-smi-deopt # a given run / Node version
+ *
+ * Options:
+ *   --run <spec>   use this run (id, 'latest' or Node version) instead of the
+ *                  newest run per experiment
+ *   --write        rewrite README.md and v8-perf-guide.md
+ *   --json         print JSON
+ *
+ * Exits with 1 if any claim is contradicted or cannot be evaluated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const findings = require('../lib/findings');
+const results = require('../lib/results');
+
+const ROOT = path.resolve(__dirname, '..');
+const README = path.join(ROOT, 'README.md');
+const GUIDE = path.join(ROOT, 'v8-perf-guide.md');
+
+function usage() {
+  console.error('Usage: node tools/findings.js [experiment...] [--run <spec>] [--write] [--json]');
+  process.exit(2);
+}
+
+// dir -> { decl, result, records, run } for every experiment with results
+function checkAll(decls, spec) {
+  const runId = spec ? results.find(spec) : null;
+  const fixed = runId ? results.load(runId) : null;
+  const checked = new Map();
+
+  for (const decl of decls) {
+    const prefix = `${decl.dir}/`;
+    const stored = fixed
+      ? { id: runId, records: fixed.filter((r) => r.experiment.startsWith(prefix)) }
+      : results.latest(prefix);
+    if (!stored || !stored.records.length) continue;
+    checked.set(decl.dir, {
+      decl,
+      result: findings.check(decl, stored.records),
+      records: stored.records,
+      run: stored.id,
+    });
+  }
+  return checked;
+}
+
+function report(decls, checked) {
+  for (const decl of decls) {
+    const entry = checked.get(decl.dir);
+    console.log(decl.dir);
+    if (!entry) {
+      console.log('  no results (node tools/results.js record)\n');
+      continue;
+    }
+    const { result, run } = entry;
+    console.log(`  run: ${run}`);
+    if (result.error) {
+      console.log(`  error: ${result.error}\n`);
+      continue;
+    }
+    const values = Object.entries(result.values).map(([k, v]) => `${k}=${findings.formatValue(v)}`);
+    console.log(`  ${values.join('  ')}`);
+    console.log(`  ${findings.render(decl.finding, result.values)}`);
+    for (const c of result.claims) {
+      console.log(`  ${c.holds ? 'ok  ' : 'FAIL'}  ${c.text}  (${c.expr})`);
+    }
+    console.log('');
+  }
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        run: { type: 'string' },
+        write: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+  const { values, positionals } = parsed;
+
+  let decls = findings.declarations(ROOT);
+  if (positionals.length) {
+    const wanted = new Set(positionals.map((p) => p.replace(/\/$/, '')));
+    decls = decls.filter((d) => wanted.has(d.dir));
+    if (!decls.length) {
+      console.error(`No experiment.json finding in: ${positionals.join(', ')}`);
+      process.exit(2);
+    }
+  }
+
+  let checked;
+  try {
+    checked = checkAll(decls, values.run);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (values.json) {
+    const out = [...checked.values()].map(({ decl, result, run }) => Object.assign({ dir: decl.dir, run }, result));
+    console.log(JSON.stringify(out, null, 2));
+  } else {
+    report(decls, checked);
+  }
+
+  if (values.write) {
+    fs.writeFileSync(README, findings.updateReadme(fs.readFileSync(README, 'utf8'), checked));
+    fs.writeFileSync(GUIDE, findings.updateGuide(fs.readFileSync(GUIDE, 'utf8'), checked));
+    console.error(`Updated README.md and v8-perf-guide.md from ${checked.size} experiments`);
+  }
+
+  const failed = [...checked.values()].some((e) => e.result.error || e.result.claims.some((c) => !c.holds));
+  if (failed) process.exitCode = 1;
+}
+
+main();
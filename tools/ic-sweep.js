@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * IC transition sweep across tiers and node versions
+ *
+ * Runs v8-ic-transitions/ic-states.js --sweep (every shape count from 1
+ * to 64, round-robin, zipf and bursty access) once per V8 tier and node
+ * binary, fits each curve with transitions() from lib/ic.js, and prints
+ * where the mono -> poly and poly -> mega steps are in each of them. The
+ * fixed counts in ic-states.js answer this for one tier and one V8; this
+ * shows whether the boundary moves.
+ *
+ * Usage:
+ *   node tools/ic-sweep.js
+ *   node tools/ic-sweep.js --tiers sparkplug,turbofan --node 18 --node 22
+ *   node tools/ic-sweep.js --patterns round-robin --max 16
+ *   node tools/ic-sweep.js --json > ic-sweep.ndjson
+ *
+ * Options:
+ *   --tiers a,b,c    tiers to run (default: all, see lib/tiers.js)
+ *   --node <bin>     node binary or installed version (repeatable;
+ *                    default: this one)
+ *   --patterns a,b   access patterns (default: all three)
+ *   --max <n>        largest shape count (default 64)
+ *   --json           print one fit per node, tier and pattern as NDJSON
+ *   --quiet          hide the sweep's own output while it runs
+ *
+ * A tier the node doesn't run is skipped, not swept: Maglev counts as off
+ * when V8 reports --no-maglev with --maglev passed (tierFlags() in
+ * lib/tiers.js asks it), since its rows would be Sparkplug's.
+ *
+ * A TurboFan sweep takes about 20 s, the lower tiers a few times that.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { runScript, resolveNode } = require('../lib/runner');
+const { TIERS, getTier, tierFlags } = require('../lib/tiers');
+const { transitions } = require('../lib/ic');
+const { formatNs } = require('../lib/bench');
+
+const SCRIPT = path.join(__dirname, '..', 'v8-ic-transitions', 'ic-states.js');
+
+// Case labels of the sweep: 'zipf 17 shapes'
+const SWEEP_CASE = /^(\S+) (\d+) shapes$/;
+
+function usage() {
+  console.error('Usage: node tools/ic-sweep.js [--tiers ignition,sparkplug,maglev,turbofan] [--node <bin>]...');
+  console.error('                              [--patterns round-robin,zipf,bursty] [--max <n>] [--json] [--quiet]');
+  process.exit(2);
+}
+
+// Records of one sweep run -> { pattern: [{ shapes, ns }] }
+function curves(records) {
+  const byPattern = {};
+  for (const r of records) {
+    const m = SWEEP_CASE.exec(r.case);
+    if (!m) continue;
+    if (!byPattern[m[1]]) byPattern[m[1]] = [];
+    byPattern[m[1]].push({ shapes: Number(m[2]), ns: r.median });
+  }
+  return byPattern;
+}
+
+// '7.52 ns from 1, 13.4 ns from 5'
+function formatLevels(fit) {
+  const starts = [1].concat(fit.steps.map((step) => step.at));
+  return fit.levels.map((ns, i) => `${formatNs(ns)} ns from ${starts[i]}`).join(', ');
+}
+
+function table(fits) {
+  const lines = [];
+  lines.push(`## ${path.relative(process.cwd(), SCRIPT)} --sweep`);
+  lines.push('');
+  lines.push('First shape count after each step; levels are median ns/op.');
+  lines.push('');
+  lines.push('| Node (V8) | Tier | Pattern | mono→poly | poly→mega | Levels |');
+  lines.push('|-----------|------|---------|-----------|-----------|--------|');
+  for (const f of fits) {
+    lines.push(`| ${f.node} (${f.v8}) | ${f.tierLabel} | ${f.pattern} | ${f.monoPoly || '-'} | ${f.polyMega || '-'} | ${formatLevels(f)} |`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        tiers: { type: 'string' },
+        node: { type: 'string', multiple: true },
+        patterns: { type: 'string' },
+        max: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values } = parsed;
+  const tiers = values.tiers ? values.tiers.split(',').map(getTier) : TIERS;
+  const args = ['--sweep'];
+  if (values.patterns) args.push('--patterns', values.patterns);
+  if (values.max) args.push('--max', values.max);
+
+  const fits = [];
+  let failed = false;
+  for (const spec of values.node || [undefined]) {
+    const node = resolveNode(spec);
+    for (const tier of tiers) {
+      const flags = tierFlags(tier, node);
+      if (!flags) {
+        console.error(`\n# ${tier.label}: not available in ${node} or turned off by its V8, skipped`);
+        continue;
+      }
+
+      console.error(`\n# ${tier.label}: ${[node, ...flags, path.relative(process.cwd(), SCRIPT), ...args].join(' ')}`);
+      const run = runScript(SCRIPT, { node, flags, args, quiet: values.quiet });
+      if (run.error || run.status !== 0) {
+        console.error(`# ${tier.label}: exited with ${run.error ? run.error.message : run.signal || run.status}`);
+        failed = true;
+      }
+
+      const env = run.records.map((r) => r.env).find(Boolean) || {};
+      const byPattern = curves(run.records);
+      for (const pattern of Object.keys(byPattern)) {
+        const fit = Object.assign({
+          node: env.node || spec || process.version,
+          v8: env.v8 || '?',
+          tier: tier.name,
+          tierLabel: tier.label,
+          flags,
+          pattern,
+        }, transitions(byPattern[pattern]));
+        fits.push(fit);
+        if (values.json) process.stdout.write(JSON.stringify(fit) + '\n');
+      }
+    }
+  }
+
+  if (!values.json) {
+    console.log('');
+    console.log(table(fits));
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main();
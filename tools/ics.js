@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Inline cache report
+ *
+ * Runs a script with --log-ic and prints every property access site with
+ * the IC states it went through (0 → 1 → P → N) and the maps it saw. Use
+ * it to check a timing boundary against what V8 actually recorded.
+ *
+ * Usage:
+ *   node tools/ics.js v8-hidden-classes/shape-transition.js --function readXMono --function readXMega
+ *   node tools/ics.js v8-ic-transitions/ic-states.js --flag=--allow-natives-syntax
+ *   node tools/ics.js v8-hidden-classes/shape-transition.js --expect readXMega:x:N
+ *
+ * Options:
+ *   --function <name>      only sites in this function; repeatable
+ *   --flag <v8 flag>       extra flag for the script, e.g. --flag=--allow-natives-syntax
+ *   --maps                 list the maps seen at each site
+ *   --all                  include node's own code
+ *   --json                 print the sites as a JSON array
+ *   --node <bin>           node binary or installed version (22, v18.20.8)
+ *   --expect fn:key:state  exit 1 unless a site of `fn` accessing `key`
+ *                          reaches `state` (0, 1, P, N); repeatable
+ *   -- <args>              passed through to the script
+ *
+ * States: 0 uninitialized, 1 monomorphic, P polymorphic, N megamorphic,
+ * X no feedback yet.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { trace, STATE_NAMES } = require('../lib/ic');
+const { resolveNode } = require('../lib/runner');
+
+function usage() {
+  console.error('Usage: node tools/ics.js <script> [--function <name>] [--flag <v8 flag>] [--maps] [--all] [--json]');
+  console.error('                         [--node <bin>] [--expect fn:key:state] [-- script args]');
+  process.exit(2);
+}
+
+function where(site) {
+  const file = site.file ? path.relative(process.cwd(), site.file) : '(eval)';
+  return `${file}:${site.line}:${site.column}`;
+}
+
+function table(sites, showMaps) {
+  const rows = sites.map((s) => [
+    s.function || '(anonymous)',
+    s.type,
+    s.key,
+    s.states.join(' → ') + (s.megamorphicAt ? ` (N at ${s.megamorphicAt} maps)` : ''),
+    String(s.maps.length),
+    where(s),
+  ]);
+  const header = ['Function', 'IC', 'Key', 'States', 'Maps', 'Location'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 4 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ').trimEnd();
+
+  console.log(line(header));
+  console.log(line(widths.map((w) => '-'.repeat(w))));
+  sites.forEach((site, i) => {
+    console.log(line(rows[i]));
+    if (!showMaps) return;
+    for (const map of site.maps) console.log(`    ${map.address}  ${map.description || ''}`.trimEnd());
+  });
+
+  const final = new Map();
+  for (const s of sites) {
+    const state = s.states[s.states.length - 1];
+    final.set(state, (final.get(state) || 0) + 1);
+  }
+  console.log('');
+  console.log(`${sites.length} site${sites.length === 1 ? '' : 's'}: ` +
+    [...final].map(([state, n]) => `${n} ${STATE_NAMES[state] || state}`).join(', '));
+}
+
+function matches(sites, expectation) {
+  const [fn, key, state] = expectation.split(':');
+  return sites.some((s) => s.function === fn && (!key || s.key === key) && (!state || s.states.includes(state)));
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        function: { type: 'string', multiple: true },
+        flag: { type: 'string', multiple: true },
+        maps: { type: 'boolean', default: false },
+        all: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        node: { type: 'string' },
+        expect: { type: 'string', multiple: true },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values, positionals } = parsed;
+  const [script, ...args] = positionals;
+  if (!script) usage();
+
+  let sites;
+  try {
+    sites = trace(script, { node: resolveNode(values.node), flags: values.flag, args, all: values.all });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (values.function) sites = sites.filter((s) => values.function.includes(s.function));
+
+  if (values.json) console.log(JSON.stringify(sites, null, 2));
+  else if (sites.length) table(sites, values.maps);
+  else console.log('No IC events.');
+
+  for (const expectation of values.expect || []) {
+    if (!matches(sites, expectation)) {
+      console.error(`Expected IC state not seen: ${expectation}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Isolated runner
+ *
+ * Runs every case of a bench script in its own child process, several
+ * times, and reports the spread between processes next to the spread
+ * within one. In a normal run all cases share a process, so JIT feedback
+ * and GC debt from earlier cases leak into later ones; here each case
+ * starts cold.
+ *
+ * Usage:
+ *   node tools/isolate.js v8-map-vs-object/bench.js
+ *   node tools/isolate.js v8-map-vs-object/bench.js --runs 10 --pin 2 --gc
+ *   node tools/isolate.js v8-proxy/bench.js --case 'proxy get' --case 'direct get'
+ *   node tools/isolate.js v8-proxy/bench.js --json > proxy.ndjson   # for tools/results.js import
+ *
+ * Options:
+ *   --runs <n>         processes per case (default 5)
+ *   --pin <cpus>       pin the children with taskset -c (Linux), e.g. 2 or 2-3
+ *   --gc               start with --expose-gc and force a GC before timing
+ *   --case <label>     only this case (repeatable)
+ *   --node <bin>       node binary or installed version (22, v18.20.8)
+ *   --flag <v8 flag>   extra flag for every child
+ *   --json             print one record per case as NDJSON
+ *
+ * "within" is the mean 95% CI half-width of the samples inside one
+ * process, "between" the same for the per-process medians. A between
+ * much larger than within means a single in-process run understates the
+ * noise.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { runIsolated, resolveNode } = require('../lib/runner');
+const { formatNs, formatSpread } = require('../lib/bench');
+const { describe, probe } = require('../lib/fingerprint');
+
+function usage() {
+  console.error('Usage: node tools/isolate.js <script> [--runs 5] [--pin <cpus>] [--gc] [--case <label>]...');
+  console.error('                             [--node <bin>] [--flag <v8 flag>] [--json]');
+  process.exit(2);
+}
+
+function table(records) {
+  const header = ['Case', 'median', 'min', 'max', 'between', 'within'];
+  const rows = records.map((r) => [
+    r.case,
+    formatNs(r.median),
+    formatNs(r.min),
+    formatNs(r.max),
+    formatSpread(r.isolation.between),
+    formatSpread(r.isolation.within),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((c) => c[i].length)));
+  const line = (c) => c.map((v, i) => (i === 0 ? v.padEnd(widths[i]) : v.padStart(widths[i]))).join('  ');
+  return [line(header), ...rows.map(line)].join('\n');
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        runs: { type: 'string', default: '5' },
+        pin: { type: 'string' },
+        gc: { type: 'boolean', default: false },
+        case: { type: 'string', multiple: true },
+        node: { type: 'string' },
+        flag: { type: 'string', multiple: true },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+  const { values, positionals } = parsed;
+  const runs = Number(values.runs);
+  if (positionals.length !== 1 || !(runs >= 2)) usage();
+  const script = positionals[0];
+
+  let records;
+  try {
+    const node = resolveNode(values.node);
+    const flags = values.flag || [];
+    if (!values.json) {
+      console.log(`${path.relative(process.cwd(), path.resolve(script))}: ${runs} processes per case` +
+        `${values.pin ? `, pinned to ${values.pin}` : ''}${values.gc ? ', gc before timing' : ''}`);
+      console.log(describe(probe(node, flags)));
+    }
+    // One line rewritten in place on a terminal, a line per run in a log
+    const progress = process.stderr.isTTY
+      ? (label, i) => process.stderr.write(`\r${label} ${i + 1}/${runs}`.padEnd(60))
+      : (label, i) => process.stderr.write(`${label} ${i + 1}/${runs}\n`);
+    records = runIsolated(script, {
+      node,
+      flags,
+      runs,
+      pin: values.pin,
+      gc: values.gc,
+      cases: values.case,
+      onRun: progress,
+    });
+    if (process.stderr.isTTY) process.stderr.write('\r'.padEnd(61) + '\r');
+  } catch (e) {
+    console.error(`\n${e.message}`);
+    process.exit(1);
+  }
+
+  if (values.json) {
+    for (const r of records) process.stdout.write(JSON.stringify(r) + '\n');
+    return;
+  }
+  console.log('');
+  console.log(table(records));
+}
+
+main();
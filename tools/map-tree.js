@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Map transition tree
+ *
+ * Runs a script with --log-maps and prints the hidden class (Map)
+ * transition tree of the objects it built: one branch per added property,
+ * with deprecated maps and dictionary-mode fallbacks flagged.
+ *
+ * Usage:
+ *   node tools/map-tree.js v8-hidden-classes/shape-transition.js --ctor ShapeA --ctor ShapeB
+ *   node tools/map-tree.js v8-hidden-classes/shape-transition.js --dot | dot -Tsvg > maps.svg
+ *
+ * Options:
+ *   --ctor <name>     only trees rooted at this constructor's initial map
+ *                     (`Object` for literals); repeatable
+ *   --dot             print Graphviz DOT instead of text
+ *   --json            print the trees as JSON
+ *   --all             include maps created by node itself
+ *   --flag <v8 flag>  extra flag for the script, e.g. --flag=--allow-natives-syntax
+ *   --node <bin>      node binary or installed version (22, v18.20.8)
+ *   -- <args>         passed through to the script
+ *
+ * Edges: +x adds property x; anything else is the reason V8 logged
+ * (Normalize, ReplaceDescriptors, SlowToFast, ...).
+ */
+
+const { parseArgs } = require('util');
+const { trace, render, dot } = require('../lib/maps');
+const { resolveNode } = require('../lib/runner');
+
+function usage() {
+  console.error('Usage: node tools/map-tree.js <script> [--ctor <name>] [--dot] [--json] [--all] [--flag <v8 flag>] [--node <bin>] [-- script args]');
+  process.exit(2);
+}
+
+function toJSON(n) {
+  return {
+    address: n.address,
+    name: n.name || undefined,
+    edge: n.edge,
+    properties: n.details ? n.details.properties : null,
+    deprecated: n.deprecated,
+    dictionary: n.dictionary,
+    children: n.children.map(toJSON),
+  };
+}
+
+function count(roots, test) {
+  const walk = (n) => (test(n) ? 1 : 0) + n.children.reduce((sum, c) => sum + walk(c), 0);
+  return roots.reduce((sum, r) => sum + walk(r), 0);
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        ctor: { type: 'string', multiple: true },
+        dot: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        all: { type: 'boolean', default: false },
+        flag: { type: 'string', multiple: true },
+        node: { type: 'string' },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values, positionals } = parsed;
+  const [script, ...args] = positionals;
+  if (!script) usage();
+
+  let roots;
+  try {
+    roots = trace(script, { node: resolveNode(values.node), flags: values.flag, args, all: values.all });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (values.ctor) roots = roots.filter((r) => values.ctor.includes(r.name));
+
+  if (values.json) {
+    console.log(JSON.stringify(roots.map(toJSON), null, 2));
+  } else if (values.dot) {
+    console.log(dot(roots));
+  } else if (roots.length === 0) {
+    console.log('No maps.');
+  } else {
+    console.log(render(roots));
+    const total = count(roots, () => true);
+    const deprecated = count(roots, (n) => n.deprecated);
+    const dictionary = count(roots, (n) => n.dictionary);
+    console.log(`${roots.length} tree${roots.length === 1 ? '' : 's'}, ${total} maps, ` +
+      `${deprecated} deprecated, ${dictionary} dictionary`);
+  }
+}
+
+main();
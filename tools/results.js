@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Results history and regression check
+ *
+ * Records bench runs into results/ (one NDJSON file per run) and compares
+ * two runs, typically the same experiments under two Node versions. A case
+ * is flagged when its ratio to the experiment's first case moved by more
+ * than the threshold, i.e. when a finding like "megamorphic is 3-4x
+ * slower" may no longer hold.
+ *
+ * Usage:
+ *   node tools/results.js record                          # every bench script, current node
+ *   node tools/results.js record v8-proxy/bench.js --node 22
+ *   node tools/results.js import proxy.ndjson             # output of a --json run
+ *   node tools/results.js list
+ *   node tools/results.js compare 20 22                   # newest run of each version
+ *   node tools/results.js compare <run-id> <run-id> --threshold 0.1 --all
+ *
+ * Options:
+ *   --node <bin>       (record) node binary or installed version
+ *   --flag <v8 flag>   (record) extra flag for every script; scripts that use
+ *                      %natives get --allow-natives-syntax automatically
+ *   --threshold <x>    (compare) ratio change that gets flagged (default 0.25)
+ *   --all              (compare) print every case, not only flagged ones
+ *   --json             (list, compare) print JSON
+ *
+ * compare exits with 1 if any case is flagged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const results = require('../lib/results');
+const { runScript, resolveNode, parseRecords } = require('../lib/runner');
+const { formatNs } = require('../lib/bench');
+const { describe, differences } = require('../lib/fingerprint');
+
+const ROOT = path.resolve(__dirname, '..');
+const SKIP_DIRS = new Set(['node_modules', 'lib', 'tools', 'results']);
+
+function usage() {
+  console.error('Usage: node tools/results.js record [scripts...] [--node <bin>] [--flag <v8 flag>]');
+  console.error('       node tools/results.js import <file.ndjson>');
+  console.error('       node tools/results.js list [--json]');
+  console.error('       node tools/results.js compare <a> <b> [--threshold 0.25] [--all] [--json]');
+  process.exit(2);
+}
+
+// Scripts that use the shared harness, i.e. the ones that produce records
+function benchScripts(dir = ROOT, files = []) {
+  for (const entry of fs.readdirSync(dir).sort()) {
+    if (entry.startsWith('.') || SKIP_DIRS.has(entry)) continue;
+    const file = path.join(dir, entry);
+    if (fs.statSync(file).isDirectory()) benchScripts(file, files);
+    else if (entry.endsWith('.js') && /require\(['"]\.\.\/lib\/bench['"]\)/.test(fs.readFileSync(file, 'utf8'))) files.push(file);
+  }
+  return files;
+}
+
+function usesNatives(file) {
+  return /%[A-Z]\w*\(/.test(fs.readFileSync(file, 'utf8'));
+}
+
+function record(scripts, values) {
+  const node = resolveNode(values.node);
+  const files = scripts.length ? scripts.map((s) => path.resolve(s)) : benchScripts();
+  const records = [];
+
+  for (const file of files) {
+    const flags = [...(values.flag || [])];
+    if (usesNatives(file) && !flags.includes('--allow-natives-syntax')) flags.push('--allow-natives-syntax');
+    console.error(`${path.relative(ROOT, file)} ...`);
+    const run = runScript(file, { node, flags, quiet: true });
+    if (run.status !== 0 || run.error) {
+      console.error(`  failed (${run.error ? run.error.message : `exit ${run.status}`}), skipped`);
+      process.exitCode = 1;
+    }
+    records.push(...run.records);
+  }
+  const id = results.save(records);
+  console.log(`${id}: ${records.length} cases from ${files.length} scripts`);
+}
+
+function importFile(file) {
+  const records = parseRecords(fs.readFileSync(file, 'utf8'));
+  const id = results.save(records);
+  console.log(`${id}: ${records.length} cases`);
+}
+
+function printList(json) {
+  const runs = results.list();
+  if (json) return console.log(JSON.stringify(runs, null, 2));
+  if (!runs.length) return console.log(`No runs in ${path.relative(process.cwd(), results.DIR) || '.'}`);
+  for (const r of runs) {
+    console.log(`${r.id}  ${r.node} (V8 ${r.v8}) ${r.arch}${r.cpu ? ` ${r.cpu}` : ''}  ${r.experiments} experiments, ${r.cases} cases`);
+  }
+}
+
+function ratio(x) {
+  return x === null ? '' : `${x.toFixed(2)}x`;
+}
+
+function printCompare(idA, idB, diff, values) {
+  const threshold = values.threshold;
+  const rows = values.all ? diff.rows : diff.rows.filter((r) => r.flagged);
+  const flagged = diff.rows.filter((r) => r.flagged);
+
+  console.log(`a: ${idA}`);
+  console.log(`   ${describe(diff.envA)}`);
+  console.log(`b: ${idB}`);
+  console.log(`   ${describe(diff.envB)}`);
+  for (const d of differences(diff.envA, diff.envB)) {
+    console.log(`   ${d.key}: ${d.a} -> ${d.b}`);
+  }
+  console.log('');
+
+  const header = ['Case', 'a', 'b', 'b/a', 'ratio a', 'ratio b', 'moved'];
+  const cells = rows.map((r) => [
+    r.case,
+    formatNs(r.a),
+    formatNs(r.b),
+    ratio(r.change),
+    r.ratioA === null ? 'ref' : ratio(r.ratioA),
+    ratio(r.ratioB),
+    r.ratioChange === null ? '' : `${r.ratioChange > 1 ? '+' : ''}${((r.ratioChange - 1) * 100).toFixed(0)}%${r.flagged ? ' !' : ''}`,
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+  const line = (c) => c.map((v, i) => (i === 0 ? v.padEnd(widths[i]) : v.padStart(widths[i]))).join('  ').trimEnd();
+
+  let experiment = null;
+  rows.forEach((r, i) => {
+    if (r.experiment !== experiment) {
+      experiment = r.experiment;
+      console.log(`${experiment}`);
+      console.log(`  ${line(header)}`);
+    }
+    console.log(`  ${line(cells[i])}`);
+  });
+  if (rows.length) console.log('');
+
+  if (diff.onlyA.length) console.log(`Only in a: ${diff.onlyA.length} cases`);
+  if (diff.onlyB.length) console.log(`Only in b: ${diff.onlyB.length} cases`);
+  console.log(`${flagged.length} of ${diff.rows.length} cases moved more than ${(threshold * 100).toFixed(0)}% against their reference case`);
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        node: { type: 'string' },
+        flag: { type: 'string', multiple: true },
+        threshold: { type: 'string', default: '0.25' },
+        all: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  values.threshold = Number(values.threshold);
+  if (!(values.threshold >= 0)) usage();
+
+  try {
+    if (command === 'record') {
+      record(rest, values);
+    } else if (command === 'import' && rest.length === 1) {
+      importFile(rest[0]);
+    } else if (command === 'list') {
+      printList(values.json);
+    } else if (command === 'compare' && rest.length === 2) {
+      const idA = results.find(rest[0]);
+      const idB = results.find(rest[1]);
+      const a = results.load(idA);
+      const b = results.load(idB);
+      const diff = Object.assign({ envA: a[0].env || {}, envB: b[0].env || {} }, results.compare(a, b, { threshold: values.threshold }));
+      if (values.json) console.log(JSON.stringify(Object.assign({ a: idA, b: idB }, diff), null, 2));
+      else printCompare(idA, idB, diff, values);
+      if (diff.rows.some((r) => r.flagged)) process.exitCode = 1;
+    } else {
+      usage();
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+main();
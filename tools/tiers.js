@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Cross-tier runner
+ *
+ * Re-runs one bench script under each V8 tier's flags (see lib/tiers.js)
+ * and prints a single case x tier table of median ns/op. Replaces running
+ * `node --max-opt=N script.js` by hand and copying the numbers over.
+ *
+ * Usage:
+ *   node tools/tiers.js v8-single-vs-multi-return/bench.js
+ *   node tools/tiers.js v8-wasm/fibonacci-js.js --tiers ignition,turbofan
+ *   node tools/tiers.js v8-proxy/bench.js --node 22
+ *   node tools/tiers.js v8-proxy/bench.js --json > proxy-tiers.ndjson
+ *
+ * Options:
+ *   --tiers a,b,c  tiers to run (default: all)
+ *   --node <bin>   node binary or installed version (22, v18.20.8) to run
+ *   --json         print the records (with `tier` and `flags`) as NDJSON
+ *   --quiet        hide the script's own output while it runs
+ *   -- <args>      passed through to the script
+ *
+ * The script has to report its cases through lib/bench.js; anything it
+ * only prints to the console doesn't end up in the table.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { runScript, resolveNode } = require('../lib/runner');
+const { TIERS, getTier, tierFlags } = require('../lib/tiers');
+const { formatNs, formatSpread } = require('../lib/bench');
+const { describe } = require('../lib/fingerprint');
+
+function usage() {
+  console.error('Usage: node tools/tiers.js <script> [--tiers ignition,sparkplug,maglev,turbofan]');
+  console.error('                           [--node <bin>] [--json] [--quiet] [-- script args]');
+  process.exit(2);
+}
+
+function table(script, runs) {
+  const cases = [];
+  for (const run of runs) {
+    for (const r of run.records) {
+      if (!cases.includes(r.case)) cases.push(r.case);
+    }
+  }
+
+  const env = runs.flatMap((run) => run.records).map((r) => r.env).find(Boolean);
+  const lines = [];
+  lines.push(`## ${path.relative(process.cwd(), script)}`);
+  lines.push('');
+  // Flags differ per column, they are in the header row
+  if (env) lines.push(`${describe(Object.assign({}, env, { flags: [] }))}. Median ns/op, ± is the 95% CI.`);
+  lines.push('');
+  lines.push(`| Case | ${runs.map((run) => `${run.tier.label} \`${run.flags.join(' ') || 'default'}\``).join(' | ')} |`);
+  lines.push(`|------|${runs.map(() => '------').join('|')}|`);
+  for (const label of cases) {
+    const cells = runs.map((run) => {
+      const r = run.records.find((rec) => rec.case === label);
+      return r ? `${formatNs(r.median)} ${formatSpread(r.spread)}` : '-';
+    });
+    lines.push(`| ${label.replace(/\|/g, '\\|')} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        tiers: { type: 'string' },
+        node: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    usage();
+  }
+
+  const [script, ...args] = parsed.positionals;
+  if (!script) usage();
+
+  const { values } = parsed;
+  const tiers = values.tiers ? values.tiers.split(',').map(getTier) : TIERS;
+  const node = resolveNode(values.node);
+  const file = path.resolve(script);
+
+  const runs = [];
+  let failed = false;
+  for (const tier of tiers) {
+    const flags = tierFlags(tier, node);
+    if (!flags) {
+      console.error(`\n# ${tier.label}: not available in this node or turned off by its V8, skipped`);
+      continue;
+    }
+
+    console.error(`\n# ${tier.label}: ${['node', ...flags, script].join(' ')}`);
+    const run = runScript(file, { node, flags, args, quiet: values.quiet });
+    if (run.error || run.status !== 0) {
+      console.error(`# ${tier.label}: exited with ${run.error ? run.error.message : run.signal || run.status}`);
+      failed = true;
+    }
+    if (run.records.length === 0) {
+      console.error(`# ${tier.label}: no benchmark records (does the script use lib/bench.js?)`);
+    }
+    runs.push({ tier, flags, records: run.records });
+
+    if (values.json) {
+      for (const r of run.records) {
+        process.stdout.write(JSON.stringify(Object.assign({ tier: tier.name, flags }, r)) + '\n');
+      }
+    }
+  }
+
+  if (!values.json) {
+    console.log('');
+    console.log(table(file, runs));
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main();
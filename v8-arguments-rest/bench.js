@@ -14,24 +14,17 @@
  * 6. arguments in strict mode vs sloppy mode
  */
 
-const N = 10_000_000;
+const { suite } = require('../lib/bench');
 
-function bench(label, fn) {
-  // Warmup
-  for (let i = 0; i < 1000; i++) fn(i, i+1, i+2);
+const N = 1_000_000; // calls per sample
+
+const run = suite({ iterations: N, warmup: 1000, labelWidth: 45 });
 
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) {
-    result += fn(i, i+1, i+2);
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(45)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
+function bench(label, fn) {
+  return run(label, (i) => fn(i, i+1, i+2));
 }
 
-console.log(`\n=== V8 arguments vs rest params (N=${N.toLocaleString()}) ===\n`);
+console.log(`\n=== V8 arguments vs rest params (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: .length access ---
 console.log('--- Test 1: .length ---');
@@ -138,17 +131,7 @@ bench('arguments[i] (strict mode)', argsStrict);
 console.log('\n--- Test 7: many args (10) ---');
 
 function bench10(label, fn) {
-  for (let i = 0; i < 1000; i++) fn(1,2,3,4,5,6,7,8,9,10);
-
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) {
-    result += fn(1,2,3,4,5,6,7,8,9,10);
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(45)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
+  return run(label, () => fn(1,2,3,4,5,6,7,8,9,10));
 }
 
 function args10Sum() {
@@ -3,7 +3,16 @@
 // Reality: each await creates a microtask, allocates a PromiseReaction,
 //          and suspends/resumes the generator-like state machine.
 
-const N = 1_000_000;
+const { suite } = require('../lib/bench');
+
+const N = 100_000; // calls per sample
+
+const bench = suite({ iterations: N, labelWidth: 28 });
+
+// One call runs its own loop of `ops` operations
+function batch(ops) {
+  return { iterations: 1, opsPerCall: ops, warmup: 1 };
+}
 
 function syncAdd(a, b) { return a + b; }
 async function asyncAdd(a, b) { return a + b; }
@@ -13,74 +22,45 @@ async function asyncAwaitAdd(a, b) { return await Promise.resolve(a + b); }
 async function test1_call_overhead() {
   console.log('\n=== Test 1: Call overhead (sync vs async) ===');
 
-  // Sync
-  let start = performance.now();
-  let sum = 0;
-  for (let i = 0; i < N; i++) {
-    sum += syncAdd(i, 1);
-  }
-  const syncTime = performance.now() - start;
-  console.log(`sync call:        ${syncTime.toFixed(1)}ms (sum=${sum})`);
+  const sync = bench('sync call', (i) => syncAdd(i, 1));
 
   // Async (no await at call site — just creates promise)
-  start = performance.now();
-  sum = 0;
-  const promises = [];
-  for (let i = 0; i < N; i++) {
-    promises.push(asyncAdd(i, 1));
-  }
-  // Must await all to get values
-  const results = await Promise.all(promises);
-  for (const r of results) sum += r;
-  const asyncNoAwaitTime = performance.now() - start;
-  console.log(`async (batch):    ${asyncNoAwaitTime.toFixed(1)}ms (sum=${sum})`);
+  const asyncBatch = await bench.async('async (batch)', async () => {
+    const promises = [];
+    for (let i = 0; i < N; i++) {
+      promises.push(asyncAdd(i, 1));
+    }
+    // Must await all to get values
+    const results = await Promise.all(promises);
+    let sum = 0;
+    for (const r of results) sum += r;
+    return sum;
+  }, batch(N));
 
   // Async with sequential await
-  start = performance.now();
-  sum = 0;
-  for (let i = 0; i < N; i++) {
-    sum += await asyncAdd(i, 1);
-  }
-  const asyncAwaitTime = performance.now() - start;
-  console.log(`async (seq await): ${asyncAwaitTime.toFixed(1)}ms (sum=${sum})`);
+  const asyncSeq = await bench.async('async (seq await)', (i) => asyncAdd(i, 1));
 
-  console.log(`Ratios: batch=${(asyncNoAwaitTime/syncTime).toFixed(1)}x, seq=${(asyncAwaitTime/syncTime).toFixed(1)}x`);
+  console.log(`Ratios: batch=${(asyncBatch.median/sync.median).toFixed(1)}x, seq=${(asyncSeq.median/sync.median).toFixed(1)}x`);
 }
 
 // --- Test 2: Promise.resolve vs new Promise ---
 async function test2_promise_creation() {
   console.log('\n=== Test 2: Promise creation cost ===');
 
-  let start = performance.now();
-  for (let i = 0; i < N; i++) {
-    await Promise.resolve(i);
-  }
-  const resolveTime = performance.now() - start;
-  console.log(`Promise.resolve:  ${resolveTime.toFixed(1)}ms`);
-
-  start = performance.now();
-  for (let i = 0; i < N; i++) {
-    await new Promise(r => r(i));
-  }
-  const newPromiseTime = performance.now() - start;
-  console.log(`new Promise:      ${newPromiseTime.toFixed(1)}ms`);
+  const resolve = await bench.async('Promise.resolve', (i) => Promise.resolve(i));
+  const newPromise = await bench.async('new Promise', (i) => new Promise(r => r(i)));
 
   // Already resolved promise (cached)
   const cached = Promise.resolve(42);
-  start = performance.now();
-  for (let i = 0; i < N; i++) {
-    await cached;
-  }
-  const cachedTime = performance.now() - start;
-  console.log(`cached resolve:   ${cachedTime.toFixed(1)}ms`);
+  await bench.async('cached resolve', () => cached);
 
-  console.log(`new/resolve ratio: ${(newPromiseTime/resolveTime).toFixed(2)}x`);
+  console.log(`new/resolve ratio: ${(newPromise.median/resolve.median).toFixed(2)}x`);
 }
 
 // --- Test 3: await chain depth ---
 async function test3_chain_depth() {
   console.log('\n=== Test 3: Await chain depth ===');
-  const ITER = 100_000;
+  const ITER = 10_000;
 
   async function depth1(x) { return x + 1; }
   async function depth2(x) { return await depth1(x) + 1; }
@@ -95,41 +75,31 @@ async function test3_chain_depth() {
   }
 
   for (const [name, fn] of [['depth1', depth1], ['depth2', depth2], ['depth3', depth3], ['depth5', depth5]]) {
-    const start = performance.now();
-    for (let i = 0; i < ITER; i++) {
-      await fn(i);
-    }
-    const t = performance.now() - start;
-    console.log(`${name}: ${t.toFixed(1)}ms (${(t/ITER*1000).toFixed(1)}us/call)`);
+    await bench.async(name, (i) => fn(i), { iterations: ITER });
   }
 }
 
 // --- Test 4: Promise.all vs sequential await ---
 async function test4_parallel_vs_sequential() {
   console.log('\n=== Test 4: Promise.all vs sequential ===');
-  const ITER = 100_000;
+  const ITER = 10_000;
 
   async function work(x) { return x * 2; }
 
   // Sequential
-  let start = performance.now();
-  for (let i = 0; i < ITER; i++) {
+  const seq = await bench.async('sequential (3x)', async (i) => {
     const a = await work(i);
     const b = await work(i + 1);
     const c = await work(i + 2);
-  }
-  const seqTime = performance.now() - start;
-  console.log(`sequential (3x):  ${seqTime.toFixed(1)}ms`);
+    return a + b + c;
+  }, { iterations: ITER });
 
   // Promise.all
-  start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const [a, b, c] = await Promise.all([work(i), work(i+1), work(i+2)]);
-  }
-  const allTime = performance.now() - start;
-  console.log(`Promise.all (3x): ${allTime.toFixed(1)}ms`);
+  const all = await bench.async('Promise.all (3x)', (i) => {
+    return Promise.all([work(i), work(i+1), work(i+2)]);
+  }, { iterations: ITER });
 
-  console.log(`Ratio: ${(seqTime/allTime).toFixed(2)}x`);
+  console.log(`Ratio: ${(seq.median/all.median).toFixed(2)}x`);
 }
 
 // --- Test 5: async overhead in tight compute loop ---
@@ -162,22 +132,11 @@ async function test5_compute_overhead() {
 
   const WORK = 1_000_000;
 
-  let start = performance.now();
-  for (let i = 0; i < 10; i++) syncCompute(WORK);
-  const syncTime = performance.now() - start;
-  console.log(`sync compute:     ${syncTime.toFixed(1)}ms`);
+  const sync = bench('sync compute', () => syncCompute(WORK), batch(WORK));
+  const noYield = await bench.async('async (no yield)', () => asyncCompute(WORK), batch(WORK));
+  const yielding = await bench.async('async (yield/10k)', () => asyncYieldCompute(WORK), batch(WORK));
 
-  start = performance.now();
-  for (let i = 0; i < 10; i++) await asyncCompute(WORK);
-  const asyncTime = performance.now() - start;
-  console.log(`async (no yield):  ${asyncTime.toFixed(1)}ms`);
-
-  start = performance.now();
-  for (let i = 0; i < 10; i++) await asyncYieldCompute(WORK);
-  const yieldTime = performance.now() - start;
-  console.log(`async (yield/10k): ${yieldTime.toFixed(1)}ms`);
-
-  console.log(`Ratios: async=${(asyncTime/syncTime).toFixed(2)}x, yield=${(yieldTime/syncTime).toFixed(2)}x`);
+  console.log(`Ratios: async=${(noYield.median/sync.median).toFixed(2)}x, yield=${(yielding.median/sync.median).toFixed(2)}x`);
 }
 
 // --- Test 6: .then() chain vs async/await ---
@@ -186,25 +145,24 @@ async function test6_then_vs_await() {
   const ITER = 100_000;
 
   // .then chain
-  let start = performance.now();
-  let chain = Promise.resolve(0);
-  for (let i = 0; i < ITER; i++) {
-    chain = chain.then(v => v + 1);
-  }
-  const result1 = await chain;
-  const thenTime = performance.now() - start;
-  console.log(`.then() chain:    ${thenTime.toFixed(1)}ms (result=${result1})`);
+  const then = await bench.async('.then() chain', () => {
+    let chain = Promise.resolve(0);
+    for (let i = 0; i < ITER; i++) {
+      chain = chain.then(v => v + 1);
+    }
+    return chain;
+  }, batch(ITER));
 
   // async/await sequential
-  start = performance.now();
-  let val = 0;
-  for (let i = 0; i < ITER; i++) {
-    val = await Promise.resolve(val + 1);
-  }
-  const awaitTime = performance.now() - start;
-  console.log(`await sequential: ${awaitTime.toFixed(1)}ms (result=${val})`);
+  const awaited = await bench.async('await sequential', async () => {
+    let val = 0;
+    for (let i = 0; i < ITER; i++) {
+      val = await Promise.resolve(val + 1);
+    }
+    return val;
+  }, batch(ITER));
 
-  console.log(`Ratio: ${(thenTime/awaitTime).toFixed(2)}x`);
+  console.log(`Ratio: ${(then.median/awaited.median).toFixed(2)}x`);
 }
 
 // --- Test 7: async generator vs sync generator ---
@@ -221,25 +179,25 @@ async function test7_async_generator() {
   }
 
   // sync
-  let start = performance.now();
-  let sum = 0;
-  for (const v of syncGen(ITER)) sum += v;
-  const syncTime = performance.now() - start;
-  console.log(`sync generator:   ${syncTime.toFixed(1)}ms (sum=${sum})`);
+  const sync = bench('sync generator', () => {
+    let sum = 0;
+    for (const v of syncGen(ITER)) sum += v;
+    return sum;
+  }, batch(ITER));
 
   // async
-  start = performance.now();
-  sum = 0;
-  for await (const v of asyncGen(ITER)) sum += v;
-  const asyncTime = performance.now() - start;
-  console.log(`async generator:  ${asyncTime.toFixed(1)}ms (sum=${sum})`);
+  const asyncResult = await bench.async('async generator', async () => {
+    let sum = 0;
+    for await (const v of asyncGen(ITER)) sum += v;
+    return sum;
+  }, batch(ITER));
 
-  console.log(`Ratio: ${(asyncTime/syncTime).toFixed(1)}x`);
+  console.log(`Ratio: ${(asyncResult.median/sync.median).toFixed(1)}x`);
 }
 
 async function main() {
   console.log(`Node ${process.version}`);
-  console.log(`Iterations: ${N.toLocaleString()}`);
+  console.log(`Iterations: ${N.toLocaleString()} x 10 samples`);
 
   await test1_call_overhead();
   await test2_promise_creation();
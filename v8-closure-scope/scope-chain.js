@@ -12,40 +12,29 @@
  *   3. Deep closures (depth 2, 4, 8)
  *   4. Mixed: some vars local, some from closure
  *
+ * Every case is put in TurboFan before it is timed (the harness's `tier`
+ * option), and one that doesn't get there is not timed.
+ *
  * Run: node --allow-natives-syntax scope-chain.js
  */
 
 'use strict';
 
-const ITERATIONS = 1e7;
-const WARMUP = 1e5;
-
-function measure(label, fn) {
-  // Warmup
-  for (let i = 0; i < WARMUP; i++) fn();
-
-  // Extra warmup to ensure optimization
-  for (let i = 0; i < WARMUP; i++) fn();
+const { suite, formatNs } = require('../lib/bench');
 
-  const start = process.hrtime.bigint();
-  for (let i = 0; i < ITERATIONS; i++) fn();
-  const end = process.hrtime.bigint();
+const ITERATIONS = 1e6; // calls per sample
 
-  const ns = Number(end - start);
-  const perOp = (ns / ITERATIONS).toFixed(1);
-  console.log(`  ${label}: ${perOp} ns/op`);
-  return parseFloat(perOp);
-}
+const measure = suite({ iterations: ITERATIONS, tier: 'turbofan', labelWidth: 22 });
 
 console.log(`\n=== V8 Closure Scope Chain ===`);
-console.log(`Iterations: ${ITERATIONS.toExponential()}\n`);
+console.log(`Iterations: ${ITERATIONS.toExponential()} x 10 samples\n`);
 
 // --- Test 1: Local variable ---
 console.log('--- Depth 0: Local variable ---');
 const t0 = measure('local var', function() {
   let x = 42;
   return x + 1;
-});
+}).median;
 
 // --- Test 2: One closure level ---
 console.log('\n--- Depth 1: One closure ---');
@@ -54,7 +43,7 @@ const t1 = measure('closure depth 1', (function() {
   return function() {
     return x + 1;
   };
-})());
+})()).median;
 
 // --- Test 3: Two closure levels ---
 console.log('\n--- Depth 2: Two closures ---');
@@ -65,7 +54,7 @@ const t2 = measure('closure depth 2', (function() {
       return x + 1;
     };
   })();
-})());
+})()).median;
 
 // --- Test 4: Four closure levels ---
 console.log('\n--- Depth 4: Four closures ---');
@@ -80,7 +69,7 @@ const t4 = measure('closure depth 4', (function() {
       })();
     })();
   })();
-})());
+})()).median;
 
 // --- Test 5: Eight closure levels ---
 console.log('\n--- Depth 8: Eight closures ---');
@@ -103,7 +92,7 @@ const t8 = measure('closure depth 8', (function() {
       })();
     })();
   })();
-})());
+})()).median;
 
 // --- Test 6: Each level captures its own variable ---
 console.log('\n--- Depth 4, each level captures ---');
@@ -121,7 +110,7 @@ const t4_capture = measure('depth 4 + captures', (function() {
       })();
     })();
   })();
-})());
+})()).median;
 
 // --- Test 7: Local vs closure in same function ---
 console.log('\n--- Mixed: local + closure depth 4 ---');
@@ -137,7 +126,7 @@ const t_mixed = measure('mixed local+closure', (function() {
       })();
     })();
   })();
-})());
+})()).median;
 
 // --- Test 8: Eval defeats scope optimization ---
 console.log('\n--- With eval (scope de-optimization) ---');
@@ -151,15 +140,18 @@ const t_eval = measure('eval in chain', (function() {
       return x + 1;
     };
   })();
-})());
+})()).median;
 
 // --- Summary ---
 console.log('\n=== Summary ===');
-console.log(`  Local (depth 0):      ${t0} ns/op (baseline)`);
-console.log(`  Closure depth 1:      ${t1} ns/op (${(t1/t0).toFixed(2)}x)`);
-console.log(`  Closure depth 2:      ${t2} ns/op (${(t2/t0).toFixed(2)}x)`);
-console.log(`  Closure depth 4:      ${t4} ns/op (${(t4/t0).toFixed(2)}x)`);
-console.log(`  Closure depth 8:      ${t8} ns/op (${(t8/t0).toFixed(2)}x)`);
-console.log(`  Depth 4 + captures:   ${t4_capture} ns/op (${(t4_capture/t0).toFixed(2)}x)`);
-console.log(`  Mixed local+closure:  ${t_mixed} ns/op (${(t_mixed/t0).toFixed(2)}x)`);
-console.log(`  Eval in chain:        ${t_eval} ns/op (${(t_eval/t0).toFixed(2)}x)`);
+console.log(`  Local (depth 0):      ${formatNs(t0)} ns/op (baseline)`);
+console.log(`  Closure depth 1:      ${formatNs(t1)} ns/op (${(t1/t0).toFixed(2)}x)`);
+console.log(`  Closure depth 2:      ${formatNs(t2)} ns/op (${(t2/t0).toFixed(2)}x)`);
+console.log(`  Closure depth 4:      ${formatNs(t4)} ns/op (${(t4/t0).toFixed(2)}x)`);
+console.log(`  Closure depth 8:      ${formatNs(t8)} ns/op (${(t8/t0).toFixed(2)}x)`);
+console.log(`  Depth 4 + captures:   ${formatNs(t4_capture)} ns/op (${(t4_capture/t0).toFixed(2)}x)`);
+console.log(`  Mixed local+closure:  ${formatNs(t_mixed)} ns/op (${(t_mixed/t0).toFixed(2)}x)`);
+console.log(`  Eval in chain:        ${formatNs(t_eval)} ns/op (${(t_eval/t0).toFixed(2)}x)`);
+console.log('');
+console.log(`  depth 1 vs local:     ${measure.compare('local var', 'closure depth 1').text}`);
+console.log(`  depth 8 vs depth 1:   ${measure.compare('closure depth 1', 'closure depth 8').text}`);
@@ -13,24 +13,13 @@
  * 5. Workaround: { ...obj } spread without the key
  */
 
-const N = 5_000_000;
-
-function bench(label, fn) {
-  // Warmup
-  for (let i = 0; i < 1000; i++) fn();
-
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) {
-    result += fn();
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
+const { suite } = require('../lib/bench');
+
+const N = 500_000; // calls per sample
+
+const bench = suite({ iterations: N, warmup: 1000, labelWidth: 55 });
 
-console.log(`\n=== V8 delete operator (N=${N.toLocaleString()}) ===\n`);
+console.log(`\n=== V8 delete operator (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: delete vs alternatives ---
 console.log('--- Test 1: removing a property ---');
@@ -148,22 +137,11 @@ bench('create + delete 3 + read', () => {
 // --- Test 6: persistent object (realistic scenario) ---
 console.log('\n--- Test 6: persistent object (reused across iterations) ---');
 
-const N2 = 1_000_000;
+const N2 = 100_000;
 
 function benchPersist(label, setup, fn) {
   const obj = setup();
-  // warmup
-  for (let i = 0; i < 1000; i++) fn(obj);
-
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N2; i++) {
-    result += fn(obj);
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N2 / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
+  return bench(label, () => fn(obj), { iterations: N2 });
 }
 
 benchPersist(
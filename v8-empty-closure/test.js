@@ -9,7 +9,7 @@
 //   2. Closure capturing nothing (should be same as #1?)
 //   3. Closure capturing one variable (real closure)
 //
-// V8 v12 / node v20
+// V8 v12 / node v20 (the shared-harness RESULTS are from v20.19.5)
 // Run: node --print-bytecode --print-bytecode-filter='plain|emptyClose|realClose|make' v8-empty-closure/test.js
 
 // Case 1: plain function
@@ -44,21 +44,31 @@ for (let i = 0; i < 100000; i++) {
 }
 
 // Benchmark
-function bench(name, fn, iterations) {
-  const start = performance.now();
+// One loop for all three functions, as before the shared harness; the
+// harness only times calls to it.
+function bench(fn, iterations) {
   let sum = 0;
   for (let i = 0; i < iterations; i++) {
     sum += fn(i);
   }
-  const elapsed = performance.now() - start;
-  console.log(`${name}: ${elapsed.toFixed(2)}ms (sum=${sum})`);
-  return elapsed;
+  return sum;
 }
 
-const N = 50_000_000;
-const t1 = bench('plain      ', f1, N);
-const t2 = bench('emptyClosure', f2, N);
-const t3 = bench('realClosure ', f3, N);
+const { suite } = require('../lib/bench');
+
+// Each function at a call site of its own (the harness gives every case
+// its own loop), then all three through bench()
+const own = suite({ labelWidth: 24 });
+own('plain (own site)', f1);
+own('emptyClosure (own site)', f2);
+own('realClosure (own site)', f3);
+
+const N = 1_000_000; // fn calls per bench() call
+const measure = suite({ iterations: 5, opsPerCall: N, warmup: 0, labelWidth: 24 });
+
+const t1 = measure('plain', () => bench(f1, N)).median;
+const t2 = measure('emptyClosure', () => bench(f2, N)).median;
+const t3 = measure('realClosure', () => bench(f3, N)).median;
 
 console.log(`\nemptyClosure vs plain: ${((t2/t1 - 1) * 100).toFixed(1)}%`);
 console.log(`realClosure  vs plain: ${((t3/t1 - 1) * 100).toFixed(1)}%`);
@@ -72,6 +82,18 @@ console.log(`realClosure  vs plain: ${((t3/t1 - 1) * 100).toFixed(1)}%`);
 // emptyClosure vs plain: ~500%
 // realClosure  vs plain: ~520%
 //
+// === RESULTS, shared harness (node v20.19.5, Linux x86_64) ===
+//
+//   plain (own site)          net 0.81 ns/op
+//   emptyClosure (own site)   net 0.53 ns/op
+//   realClosure (own site)    net 1.02 ns/op
+//   plain                         1.58 ns/op   (through bench())
+//   emptyClosure                  10.6 ns/op
+//   realClosure                   10.3 ns/op
+//
+//   emptyClosure vs plain: ~570%
+//   realClosure  vs plain: ~550%
+//
 // === BYTECODE ===
 //
 // plain and emptyClose generate IDENTICAL bytecode:
@@ -1,22 +1,12 @@
 // V8 Functional Patterns Benchmark
 // Currying, partial application, pipe, compose — what's the real cost?
 
+const { suite, formatNs } = require('../lib/bench');
+
 const N = 1_000_000;
 
-function time(label, fn) {
-  const runs = [];
-  // Warmup
-  for (let i = 0; i < 3; i++) fn();
-  // Measure
-  for (let i = 0; i < 5; i++) {
-    const start = performance.now();
-    fn();
-    runs.push(performance.now() - start);
-  }
-  runs.sort((a, b) => a - b);
-  const median = runs[2];
-  return { label, median: Math.round(median * 10) / 10 };
-}
+// Each case runs its own N-iteration loop, so one call = N ops
+const time = suite({ iterations: 1, opsPerCall: N, warmup: 3, labelWidth: 40 });
 
 // =============================================================
 // 1. Currying
@@ -81,11 +71,11 @@ const r5 = time('partial (pre-bound first arg)', () => {
   return s;
 });
 
-console.log(`${r1.label}: ${r1.median}ms`);
-console.log(`${r2.label}: ${r2.median}ms (${(r2.median/r1.median).toFixed(1)}x)`);
-console.log(`${r3.label}: ${r3.median}ms (${(r3.median/r1.median).toFixed(1)}x)`);
-console.log(`${r4.label}: ${r4.median}ms (${(r4.median/r1.median).toFixed(1)}x)`);
-console.log(`${r5.label}: ${r5.median}ms (${(r5.median/r1.median).toFixed(1)}x)`);
+console.log(`${r1.label}: ${formatNs(r1.median)} ns/op`);
+console.log(`${r2.label}: ${formatNs(r2.median)} ns/op (${(r2.median/r1.median).toFixed(1)}x)`);
+console.log(`${r3.label}: ${formatNs(r3.median)} ns/op (${(r3.median/r1.median).toFixed(1)}x)`);
+console.log(`${r4.label}: ${formatNs(r4.median)} ns/op (${(r4.median/r1.median).toFixed(1)}x)`);
+console.log(`${r5.label}: ${formatNs(r5.median)} ns/op (${(r5.median/r1.median).toFixed(1)}x)`);
 
 // =============================================================
 // 2. Partial Application
@@ -131,10 +121,10 @@ const p4 = time('generic partial(...)', () => {
   return s;
 });
 
-console.log(`${p1.label}: ${p1.median}ms`);
-console.log(`${p2.label}: ${p2.median}ms (${(p2.median/p1.median).toFixed(1)}x)`);
-console.log(`${p3.label}: ${p3.median}ms (${(p3.median/p1.median).toFixed(1)}x)`);
-console.log(`${p4.label}: ${p4.median}ms (${(p4.median/p1.median).toFixed(1)}x)`);
+console.log(`${p1.label}: ${formatNs(p1.median)} ns/op`);
+console.log(`${p2.label}: ${formatNs(p2.median)} ns/op (${(p2.median/p1.median).toFixed(1)}x)`);
+console.log(`${p3.label}: ${formatNs(p3.median)} ns/op (${(p3.median/p1.median).toFixed(1)}x)`);
+console.log(`${p4.label}: ${formatNs(p4.median)} ns/op (${(p4.median/p1.median).toFixed(1)}x)`);
 
 // =============================================================
 // 3. Pipe / Compose
@@ -202,11 +192,11 @@ const c5 = time('pipe (for-loop)', () => {
   return s;
 });
 
-console.log(`${c1.label}: ${c1.median}ms`);
-console.log(`${c2.label}: ${c2.median}ms (${(c2.median/c1.median).toFixed(1)}x)`);
-console.log(`${c3.label}: ${c3.median}ms (${(c3.median/c1.median).toFixed(1)}x)`);
-console.log(`${c4.label}: ${c4.median}ms (${(c4.median/c1.median).toFixed(1)}x)`);
-console.log(`${c5.label}: ${c5.median}ms (${(c5.median/c1.median).toFixed(1)}x)`);
+console.log(`${c1.label}: ${formatNs(c1.median)} ns/op`);
+console.log(`${c2.label}: ${formatNs(c2.median)} ns/op (${(c2.median/c1.median).toFixed(1)}x)`);
+console.log(`${c3.label}: ${formatNs(c3.median)} ns/op (${(c3.median/c1.median).toFixed(1)}x)`);
+console.log(`${c4.label}: ${formatNs(c4.median)} ns/op (${(c4.median/c1.median).toFixed(1)}x)`);
+console.log(`${c5.label}: ${formatNs(c5.median)} ns/op (${(c5.median/c1.median).toFixed(1)}x)`);
 
 // =============================================================
 // 4. Map/Filter/Reduce vs for-loop
@@ -215,6 +205,7 @@ console.log(`${c5.label}: ${c5.median}ms (${(c5.median/c1.median).toFixed(1)}x)`
 console.log('\n=== MAP/FILTER/REDUCE vs FOR ===');
 
 const arr = Array.from({length: 100_000}, (_, i) => i);
+const perElement = { opsPerCall: arr.length };
 
 const m1 = time('for-loop (filter+map+sum)', () => {
   let s = 0;
@@ -222,20 +213,20 @@ const m1 = time('for-loop (filter+map+sum)', () => {
     if (arr[i] % 2 === 0) s += arr[i] * 2;
   }
   return s;
-});
+}, perElement);
 
 const m2 = time('chain: filter().map().reduce()', () => {
   return arr.filter(x => x % 2 === 0).map(x => x * 2).reduce((a, b) => a + b, 0);
-});
+}, perElement);
 
 // Single reduce
 const m3 = time('single reduce', () => {
   return arr.reduce((s, x) => x % 2 === 0 ? s + x * 2 : s, 0);
-});
+}, perElement);
 
-console.log(`${m1.label}: ${m1.median}ms`);
-console.log(`${m2.label}: ${m2.median}ms (${(m2.median/m1.median).toFixed(1)}x)`);
-console.log(`${m3.label}: ${m3.median}ms (${(m3.median/m1.median).toFixed(1)}x)`);
+console.log(`${m1.label}: ${formatNs(m1.median)} ns/op`);
+console.log(`${m2.label}: ${formatNs(m2.median)} ns/op (${(m2.median/m1.median).toFixed(1)}x)`);
+console.log(`${m3.label}: ${formatNs(m3.median)} ns/op (${(m3.median/m1.median).toFixed(1)}x)`);
 
 // =============================================================
 // 5. Immutable update patterns
@@ -263,9 +254,9 @@ const u3 = time('Object.assign update', () => {
   return o.a;
 });
 
-console.log(`${u1.label}: ${u1.median}ms`);
-console.log(`${u2.label}: ${u2.median}ms (${(u2.median/u1.median).toFixed(1)}x)`);
-console.log(`${u3.label}: ${u3.median}ms (${(u3.median/u1.median).toFixed(1)}x)`);
+console.log(`${u1.label}: ${formatNs(u1.median)} ns/op`);
+console.log(`${u2.label}: ${formatNs(u2.median)} ns/op (${(u2.median/u1.median).toFixed(1)}x)`);
+console.log(`${u3.label}: ${formatNs(u3.median)} ns/op (${(u3.median/u1.median).toFixed(1)}x)`);
 
 console.log('\n=== SUMMARY ===');
 console.log('Currying: manual and arrow curry are cheap. Generic curry has spread overhead.');
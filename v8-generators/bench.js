@@ -14,20 +14,13 @@
  * 6. Yield delegation (yield*)
  */
 
-const N = 2_000_000;
-
-function bench(label, fn) {
-  for (let i = 0; i < 500; i++) fn();
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) result += fn();
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(58)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
+const { suite } = require('../lib/bench');
+
+const N = 200_000; // calls per sample
+
+const bench = suite({ iterations: N, warmup: 500, labelWidth: 58 });
 
-console.log(`\n=== V8 generators (N=${N.toLocaleString()}) ===\n`);
+console.log(`\n=== V8 generators (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: yield vs alternatives ---
 console.log('--- Test 1: producing 5 values ---');
@@ -8,9 +8,11 @@
 //   3. Polymorphic — 2-4 shapes → lookup from small cache
 //   4. Megamorphic — 5+ shapes → hash table lookup (slowest)
 //
-// Node.js v20.20.0 / V8 v12
+// Node.js v20.20.0 / V8 v12 (the shared-harness RESULTS are from v20.19.5)
 // Run: node v8-hidden-classes/shape-transition.js
 // Bytecode: node --print-bytecode --print-bytecode-filter='readX' v8-hidden-classes/shape-transition.js
+// ICs: node tools/ics.js v8-hidden-classes/shape-transition.js --function readXPoly4 --function readXMega --maps
+// Maps: node tools/map-tree.js v8-hidden-classes/shape-transition.js --ctor ShapeA --ctor ShapeB --ctor Object
 
 // === Test function: reads .x from whatever object is passed ===
 
@@ -18,21 +20,18 @@ function readX(obj) {
   return obj.x;
 }
 
-// === Helpers ===
+// Not timed; one call compiles it, so --print-bytecode has a listing for it
+readX({ x: 1 });
 
-function bench(name, fn, iterations) {
-  // warmup
-  for (var i = 0; i < 1000; i++) fn();
+// === Helpers ===
 
-  var start = performance.now();
-  for (var i = 0; i < iterations; i++) fn();
-  var elapsed = performance.now() - start;
-  console.log(`${name}: ${elapsed.toFixed(2)}ms`);
-  return elapsed;
-}
+var { suite, formatNs } = require('../lib/bench');
 
 var N = 10_000_000;
 
+// Each call reads .x from 100 objects; 10 samples of N/10 reads
+var bench = suite({ iterations: N / 1000, warmup: 1000, opsPerCall: 100, labelWidth: 10 });
+
 // === Case 1: Monomorphic — all objects same shape ===
 console.log('=== Case 1: Monomorphic (1 shape) ===');
 
@@ -48,7 +47,7 @@ var tMono = bench('mono', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXMono(mono[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 2: Polymorphic — 2 shapes ===
@@ -68,7 +67,7 @@ var tPoly2 = bench('poly2', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXPoly2(poly2[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 3: Polymorphic — 4 shapes ===
@@ -94,7 +93,7 @@ var tPoly4 = bench('poly4', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXPoly4(poly4[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 4: Megamorphic — 8 shapes ===
@@ -121,7 +120,7 @@ var tMega = bench('mega', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXMega(mega[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 5: Same shape but properties added in different order ===
@@ -149,7 +148,7 @@ var tDiffOrder = bench('diffOrder', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXDiffOrder(diffOrder[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 6: Object literal vs constructor ===
@@ -167,17 +166,21 @@ var tLiteral = bench('literal', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXLiteral(literals[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Summary ===
 console.log('\n=== Summary ===');
-console.log(`mono:      ${tMono.toFixed(2)}ms (baseline)`);
-console.log(`poly2:     ${tPoly2.toFixed(2)}ms (${((tPoly2/tMono - 1) * 100).toFixed(0)}%)`);
-console.log(`poly4:     ${tPoly4.toFixed(2)}ms (${((tPoly4/tMono - 1) * 100).toFixed(0)}%)`);
-console.log(`mega:      ${tMega.toFixed(2)}ms (${((tMega/tMono - 1) * 100).toFixed(0)}%)`);
-console.log(`diffOrder: ${tDiffOrder.toFixed(2)}ms (${((tDiffOrder/tMono - 1) * 100).toFixed(0)}%)`);
-console.log(`literal:   ${tLiteral.toFixed(2)}ms (${((tLiteral/tMono - 1) * 100).toFixed(0)}%)`);
+console.log(`mono:      ${formatNs(tMono)} ns/op (baseline)`);
+console.log(`poly2:     ${formatNs(tPoly2)} ns/op (${((tPoly2/tMono - 1) * 100).toFixed(0)}%)`);
+console.log(`poly4:     ${formatNs(tPoly4)} ns/op (${((tPoly4/tMono - 1) * 100).toFixed(0)}%)`);
+console.log(`mega:      ${formatNs(tMega)} ns/op (${((tMega/tMono - 1) * 100).toFixed(0)}%)`);
+console.log(`diffOrder: ${formatNs(tDiffOrder)} ns/op (${((tDiffOrder/tMono - 1) * 100).toFixed(0)}%)`);
+console.log(`literal:   ${formatNs(tLiteral)} ns/op (${((tLiteral/tMono - 1) * 100).toFixed(0)}%)`);
+console.log('');
+console.log(`poly2 vs mono:      ${bench.compare('mono', 'poly2').text}`);
+console.log(`mega vs mono:       ${bench.compare('mono', 'mega').text}`);
+console.log(`diffOrder vs poly2: ${bench.compare('poly2', 'diffOrder').text}`);
 
 // === RESULTS (node v20.20.0, Linux x86_64) ===
 //
@@ -188,6 +191,15 @@ console.log(`literal:   ${tLiteral.toFixed(2)}ms (${((tLiteral/tMono - 1) * 100)
 // diffOrder: ~14ms (0% — same as mono despite different maps!)
 // literal:   ~13ms (same as mono)
 //
+// === RESULTS, shared harness (node v20.19.5, Linux x86_64, 3 runs) ===
+//
+// mono:      1.6-2.8 ns/op (baseline)
+// poly2:     +16-41%
+// poly4:     +23-34%
+// mega:      3.2-3.5x
+// diffOrder: +13-31%
+// literal:   -3 to +4%
+//
 // === BYTECODE ===
 //
 // readX bytecode (5 bytes):
@@ -201,13 +213,15 @@ console.log(`literal:   ${tLiteral.toFixed(2)}ms (${((tLiteral/tMono - 1) * 100)
 //
 // Using %GetOptimizationStatus with --allow-natives-syntax:
 //
-//   After mono warmup + optimize: status 81 (Optimized)
+//   After mono warmup + optimize: status 81 (Optimized, TurboFan)
 //   After 2nd shape:              status 1  (Deoptimized!)
-//   After 4th shape:              status 32769 (TopmostInterpreted)
+//   After 4th shape:              status 32769 (Baseline: Sparkplug code)
 //   After 5th+ shapes:            status 32769
 //
+// (Decoded with lib/opt-status.js; bit layout is V8 10+.)
+//
 // Adding a new shape to an already-optimized function TRIGGERS DEOPTIMIZATION.
-// V8 falls back to interpreter, then re-optimizes with broader type info.
+// V8 falls back to unoptimized code, then re-optimizes with broader type info.
 //
 // === KEY FINDINGS ===
 //
@@ -6,6 +6,12 @@
 // and fall back to generic hash lookup?
 //
 // Run: node --allow-natives-syntax ic-states.js
+//      (without the flag the timings still run; the optimization status
+//      section only warms up and cannot report the tier)
+// ICs: node ../tools/ics.js ic-states.js --flag=--allow-natives-syntax  (states V8 logged per site)
+// Sweep: node ic-states.js --sweep [--max 64] [--patterns round-robin,zipf,bursty]
+//        (every count from 1 to 64 per access pattern, transitions fitted;
+//        node ../tools/ic-sweep.js runs it per tier and node version)
 
 'use strict';
 
@@ -42,8 +48,17 @@ function readX(obj) {
 
 // ── Measurement ────────────────────────────────────────────
 
+const { suite, formatNs, formatSpread, spread } = require('../lib/bench');
+const { decode, describe } = require('../lib/opt-status');
+const { transitions } = require('../lib/ic');
+const stats = require('../lib/stats');
+const natives = require('../lib/natives');
+
 const WARMUP = 1e4;
-const ITERS = 1e7;
+const ITERS = 1e6; // calls per sample
+
+// Printed as a table below instead of one line per case
+const sample = suite({ iterations: ITERS, warmup: 0, quiet: true });
 
 function measure(label, shapes) {
   // Create a fresh function each time to get a clean IC
@@ -58,99 +73,168 @@ function measure(label, shapes) {
 
   // Measure: cycle through shapes
   const n = shapes.length;
-  const start = performance.now();
-  for (let i = 0; i < ITERS; i++) {
-    fn(shapes[i % n]);
+  const r = sample(label, (i) => fn(shapes[i % n]));
+
+  return { label, shapes: n, nsPerOp: r.median, spread: spread(r) };
+}
+
+// ── Sweep ──────────────────────────────────────────────────
+// --sweep measures every shape count from 1 to --max under three access
+// patterns, and fits the transitions (transitions() in lib/ic.js fits a
+// step function) instead of reading them off a table:
+//
+//   round-robin  shapes in turn: 0, 1, ..., n-1, 0, 1, ...
+//   zipf         shape k with probability ∝ 1/(k+1): a few hot, a long tail
+//   bursty       BURST accesses to one shape, then BURST to the next
+
+const PATTERNS = ['round-robin', 'zipf', 'bursty'];
+const BURST = 64;
+const SWEEP_ITERS = 1e6; // calls per sample, 5 samples per case
+
+// --name value or --name=value
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i !== -1 && i + 1 < process.argv.length) return process.argv[i + 1];
+  const inline = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return inline ? inline.slice(name.length + 3) : fallback;
+}
+
+// The objects one case reads, in access order. A power-of-two length, so
+// the reader indexes with a mask; long enough for every bursty run.
+function sequence(pattern, shapes) {
+  const n = shapes.length;
+  let length = 4096;
+  while (length < n * BURST) length *= 2;
+
+  const seq = new Array(length);
+  if (pattern === 'round-robin') {
+    for (let j = 0; j < length; j++) seq[j] = shapes[j % n];
+  } else if (pattern === 'bursty') {
+    for (let j = 0; j < length; j++) seq[j] = shapes[Math.floor(j / BURST) % n];
+  } else {
+    const cdf = [];
+    let total = 0;
+    for (let k = 0; k < n; k++) cdf.push(total += 1 / (k + 1));
+    const next = stats.random(n);
+    for (let j = 0; j < length; j++) {
+      const u = next() * total;
+      let k = 0;
+      while (cdf[k] < u) k++;
+      seq[j] = shapes[k];
+    }
   }
-  const elapsed = performance.now() - start;
-  const nsPerOp = (elapsed / ITERS) * 1e6;
+  return seq;
+}
 
-  return { label, shapes: n, elapsed: elapsed.toFixed(1), nsPerOp: nsPerOp.toFixed(2) };
+// The access site lives in the timed function itself, one per case, with
+// the label in its source: new Function with the same source would share
+// feedback through the compilation cache (FINDING 5), and every case has
+// to start from an uninitialized IC
+function makeReader(label, seq) {
+  return new Function('seq', `return function(i) { return seq[i & ${seq.length - 1}].x; }; // ${label}`)(seq);
 }
 
-// ── IC state feedback via --allow-natives-syntax ───────────
-
-function getICState(fn, obj) {
-  // %GetOptimizationStatus returns a bitmask
-  // But we need IC feedback specifically
-  // Let's use %DebugPrint on the function to see IC state
-  // Actually, the most reliable way is %GetFeedback
-  // Note: these V8 intrinsics may vary by version
-  try {
-    %PrepareFunctionForOptimization(fn);
-    fn(obj);
-    %OptimizeFunctionOnNextCall(fn);
-    fn(obj);
-    const status = %GetOptimizationStatus(fn);
-    return status;
-  } catch (e) {
-    return null;
+function sweep() {
+  const max = Number(option('max', 64));
+  const patterns = option('patterns', PATTERNS.join(',')).split(',');
+  for (const p of patterns) {
+    if (!PATTERNS.includes(p)) throw new Error(`Unknown pattern "${p}" (expected ${PATTERNS.join(', ')})`);
   }
+
+  const shapes = generateShapes(max);
+  const sweepSample = suite({ iterations: SWEEP_ITERS, samples: 5, quiet: true });
+  const curves = patterns.map(() => []);
+
+  console.log(`V8 ${process.versions.v8}: IC sweep over 1-${max} shapes, ns/op\n`);
+  console.log(`Shapes | ${patterns.map((p) => p.padStart(11)).join(' | ')}`);
+  console.log(`-------|${patterns.map(() => '-------------').join('|')}`);
+
+  for (let n = 1; n <= max; n++) {
+    const cells = patterns.map((pattern, k) => {
+      const seq = sequence(pattern, shapes.slice(0, n));
+      const label = `${pattern} ${n} shapes`;
+      // Warmup walks the whole sequence, so every shape has been seen
+      const r = sweepSample(label, makeReader(label, seq), { warmup: 3 * seq.length });
+      curves[k].push({ shapes: n, ns: r.median });
+      return formatNs(r.median).padStart(11);
+    });
+    console.log(`${String(n).padStart(6)} | ${cells.join(' | ')}`);
+  }
+
+  console.log('\n--- Fitted transitions ---');
+  patterns.forEach((pattern, k) => {
+    // Cases the isolated runner skipped come back as NaN
+    const points = curves[k].filter((p) => Number.isFinite(p.ns));
+    if (points.length < 3) return;
+    const t = transitions(points);
+    const starts = [points[0].shapes].concat(t.steps.map((step) => step.at));
+    const levels = t.levels.map((ns, i) => `${formatNs(ns)} ns from ${starts[i]}`);
+    console.log(`${pattern.padEnd(11)}  mono→poly ${String(t.monoPoly || '-').padStart(2)}` +
+      `  poly→mega ${String(t.polyMega || '-').padStart(2)}  (${levels.join(', ')})`);
+  });
 }
 
 // ── Run the experiment ─────────────────────────────────────
 
-console.log('V8 IC State Transitions: Measuring property access across shape counts\n');
-console.log('Shapes | ns/op  | elapsed(ms) | ratio vs 1');
-console.log('-------|--------|-------------|----------');
+function fixedCounts() {
+  console.log('V8 IC State Transitions: Measuring property access across shape counts\n');
+  console.log('Shapes | ns/op  | spread | ratio vs 1');
+  console.log('-------|--------|--------|----------');
 
-const results = [];
-const shapeCounts = [1, 2, 3, 4, 5, 6, 7, 8, 10, 12, 16, 20, 32];
+  const results = [];
+  const shapeCounts = [1, 2, 3, 4, 5, 6, 7, 8, 10, 12, 16, 20, 32];
 
-for (const count of shapeCounts) {
-  const shapes = generateShapes(count);
-  const r = measure(`${count} shapes`, shapes);
-  results.push(r);
-}
+  for (const count of shapeCounts) {
+    const shapes = generateShapes(count);
+    const r = measure(`${count} shapes`, shapes);
+    results.push(r);
+  }
 
-// Calculate ratio vs monomorphic
-const baseline = parseFloat(results[0].nsPerOp);
-for (const r of results) {
-  const ratio = (parseFloat(r.nsPerOp) / baseline).toFixed(2);
-  console.log(
-    `${String(r.shapes).padStart(6)} | ${r.nsPerOp.padStart(6)} | ${r.elapsed.padStart(11)} | ${ratio}x`
-  );
-}
+  // Calculate ratio vs monomorphic
+  const baseline = results[0].nsPerOp;
+  for (const r of results) {
+    const ratio = (r.nsPerOp / baseline).toFixed(2);
+    console.log(
+      `${String(r.shapes).padStart(6)} | ${formatNs(r.nsPerOp).padStart(6)} | ${formatSpread(r.spread).padStart(6)} | ${ratio}x`
+    );
+  }
 
-// ── Phase 2: IC state via trace-ic flag output ─────────────
-// Run with: node --trace-ic ic-states.js 2>&1 | grep -c "LoadIC"
-// But that's too noisy. Instead let's check optimization status.
+  // ── Phase 2: IC state via trace-ic flag output ─────────────
+  // Run with: node --trace-ic ic-states.js 2>&1 | grep -c "LoadIC"
+  // But that's too noisy. Instead let's check optimization status.
 
-console.log('\n--- Optimization status ---');
+  console.log('\n--- Optimization status ---');
 
-for (const count of [1, 2, 4, 5, 8]) {
-  const shapes = generateShapes(count);
-  const fn = new Function('obj', 'return obj.x');
+  for (const count of [1, 2, 4, 5, 8]) {
+    const shapes = generateShapes(count);
+    const fn = new Function('obj', 'return obj.x');
 
-  try {
-    %PrepareFunctionForOptimization(fn);
     for (let w = 0; w < 1000; w++) {
       for (const s of shapes) fn(s);
     }
-    %OptimizeFunctionOnNextCall(fn);
-    for (const s of shapes) fn(s);
-
-    const status = %GetOptimizationStatus(fn);
-    const isOptimized = (status & 16) !== 0;
-    const isTurboFanned = (status & 32) !== 0;
-    console.log(
-      `${count} shapes: status=${status}, optimized=${isOptimized}, turbofanned=${isTurboFanned}`
-    );
-  } catch (e) {
-    console.log(`${count} shapes: native syntax not available (${e.message})`);
-    break;
+    const status = natives.optimize(fn, () => {
+      for (const s of shapes) fn(s);
+    });
+    if (status === null) {
+      console.log(`${count} shapes: unknown (needs --allow-natives-syntax)`);
+    } else {
+      console.log(`${count} shapes: ${decode(status).tier} (status ${describe(status)})`);
+    }
   }
+
+  // ── Phase 3: Bytecode comparison ───────────────────────────
+  console.log('\n--- Bytecode is identical for all cases ---');
+  console.log('(readX always compiles to GetNamedProperty regardless of IC state)');
+  console.log('The IC state is RUNTIME metadata attached to the feedback vector,');
+  console.log('not visible in bytecode. Bytecode is the instruction;');
+  console.log('IC state is the learned shortcut for executing that instruction.');
+  console.log('\nThis is the key insight: bytecode = source code of the VM,');
+  console.log('IC = JIT-compiled cache of runtime experience.');
+  console.log('Same instruction, different execution path.');
 }
 
-// ── Phase 3: Bytecode comparison ───────────────────────────
-console.log('\n--- Bytecode is identical for all cases ---');
-console.log('(readX always compiles to GetNamedProperty regardless of IC state)');
-console.log('The IC state is RUNTIME metadata attached to the feedback vector,');
-console.log('not visible in bytecode. Bytecode is the instruction;');
-console.log('IC state is the learned shortcut for executing that instruction.');
-console.log('\nThis is the key insight: bytecode = source code of the VM,');
-console.log('IC = JIT-compiled cache of runtime experience.');
-console.log('Same instruction, different execution path.');
+if (process.argv.includes('--sweep')) sweep();
+else fixedCounts();
 
 // ── FINDINGS (3 runs) ──────────────────────────────────────
 //
@@ -171,11 +255,20 @@ console.log('Same instruction, different execution path.');
 //   different maps have been seen. The IC has already given up.
 //   Adding more shapes doesn't make it worse — it's already at the floor.
 //
-// FINDING 4: All shapes optimize (status=81 = optimized by Maglev).
+// FINDING 4: All shapes optimize (status=81 = optimized by TurboFan).
 //   Even megamorphic functions get optimized — just with generic
-//   property access instead of cached map checks. TurboFan/Maglev
+//   property access instead of cached map checks. TurboFan
 //   still compiles the function, it just can't specialize the IC.
 //
+// FINDING 5: The IC log agrees (tools/ics.js): the obj.x site goes
+//   0 → 1 → P → N and turns megamorphic at exactly 5 maps.
+//   Caveat: the "fresh" functions are not fresh. After the first one,
+//   new Function with the same source hits the compilation cache and the
+//   closures share one feedback vector, so each count starts from the IC
+//   the previous counts left behind. makeShape(i) yields the same map every
+//   time, so the count-k run still sees exactly k maps and the boundary
+//   holds; it would not with unrelated shapes per count.
+//
 // PRACTICAL IMPLICATIONS:
 //   - Keep polymorphic call sites to ≤4 shapes if possible
 //   - If you're already at 5, going to 20 doesn't matter much
@@ -2,64 +2,58 @@
 // Complements bytecode analysis in loop-bytecode.js
 // Tests with varying array sizes to see scaling behavior
 
-function bench(name, fn, iterations) {
-  // warmup
-  for (var i = 0; i < 100; i++) fn();
+var { suite } = require('../lib/bench');
 
-  var start = performance.now();
-  for (var i = 0; i < iterations; i++) fn();
-  var elapsed = performance.now() - start;
-  console.log(`${name}: ${elapsed.toFixed(2)}ms (${iterations} iterations)`);
-  return elapsed;
-}
+var bench = suite({ warmup: 100, labelWidth: 26 });
 
 var sizes = [10, 1000, 100000];
 
 for (var size of sizes) {
   var arr = Array.from({length: size}, (_, i) => i);
-  var iterations = Math.max(1, Math.floor(1000000 / size));
+  var iterations = Math.max(1, Math.floor(100000 / size));
+  var opts = { iterations: iterations, opsPerCall: size };
 
-  console.log(`\n=== Array size: ${size}, iterations: ${iterations} ===`);
+  console.log(`\n=== Array size: ${size}, iterations: ${iterations} x 10 samples ===`);
 
   // Case 1: for-loop (no capture)
-  bench('for-loop', function() {
+  bench(`for-loop (n=${size})`, function() {
     var sum = 0;
     for (var i = 0; i < arr.length; i++) sum += arr[i];
     return sum;
-  }, iterations);
+  }, opts);
 
   // Case 2: forEach
-  bench('forEach ', function() {
+  bench(`forEach (n=${size})`, function() {
     var sum = 0;
     arr.forEach(function(x) { sum += x; });
     return sum;
-  }, iterations);
+  }, opts);
 
   // Case 3: reduce
-  bench('reduce  ', function() {
+  bench(`reduce (n=${size})`, function() {
     return arr.reduce(function(acc, x) { return acc + x; }, 0);
-  }, iterations);
+  }, opts);
 
   // Case 4: for-of
-  bench('for-of  ', function() {
+  bench(`for-of (n=${size})`, function() {
     var sum = 0;
     for (var x of arr) sum += x;
     return sum;
-  }, iterations);
+  }, opts);
 
   // Case 5: forEach with capture
-  bench('forEach+capture', function() {
+  bench(`forEach+capture (n=${size})`, function() {
     var multiplier = 3;
     var sum = 0;
     arr.forEach(function(x) { sum += x * multiplier; });
     return sum;
-  }, iterations);
+  }, opts);
 
   // Case 6: for-loop with same work
-  bench('for+capture    ', function() {
+  bench(`for+capture (n=${size})`, function() {
     var multiplier = 3;
     var sum = 0;
     for (var i = 0; i < arr.length; i++) sum += arr[i] * multiplier;
     return sum;
-  }, iterations);
+  }, opts);
 }
@@ -1,23 +1,14 @@
 // Map vs Object: when does Map win?
 // Hypothesis: Map wins for frequent add/delete, Object wins for static lookup
 
+const { suite } = require('../lib/bench');
+
 const N = 100000;
 const KEYS = Array.from({length: N}, (_, i) => `key_${i}`);
 const NUM_KEYS = Array.from({length: N}, (_, i) => i);
 
-function bench(name, fn, iterations = 5) {
-    const times = [];
-    for (let i = 0; i < iterations; i++) {
-        const start = process.hrtime.bigint();
-        fn();
-        const end = process.hrtime.bigint();
-        times.push(Number(end - start) / 1e6);
-    }
-    times.sort((a, b) => a - b);
-    const median = times[Math.floor(times.length / 2)];
-    console.log(`${name}: ${median.toFixed(2)}ms (median of ${iterations})`);
-    return median;
-}
+// Each case loops over all N keys, so one call = N ops
+const bench = suite({ iterations: 1, opsPerCall: N, warmup: 1, labelWidth: 30 });
 
 // Test 1: String key insertion
 bench('Object string insert', () => {
@@ -16,23 +16,13 @@
  * 6. Object.values
  */
 
-const N = 2_000_000;
+const { suite } = require('../lib/bench');
 
-function bench(label, fn) {
-  for (let i = 0; i < 500; i++) fn();
+const N = 200_000; // calls per sample
 
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) {
-    result += fn();
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(58)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
+const bench = suite({ iterations: N, warmup: 500, labelWidth: 58 });
 
-console.log(`\n=== V8 object iteration (N=${N.toLocaleString()}) ===\n`);
+console.log(`\n=== V8 object iteration (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: basic iteration (5 properties) ---
 console.log('--- Test 1: iterate 5 properties ---');
@@ -149,19 +139,12 @@ bench('Object.values + for-of (50 props)', () => {
 // --- Test 4: large object (500 props) ---
 console.log('\n--- Test 4: 500 properties ---');
 
-const N2 = 200_000;
+const N2 = 20_000;
 const large = {};
 for (let i = 0; i < 500; i++) large[`k${i}`] = i;
 
 function benchLarge(label, fn) {
-  for (let i = 0; i < 100; i++) fn();
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N2; i++) result += fn();
-  const ms = performance.now() - start;
-  const opsPerSec = (N2 / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(58)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
+  return bench(label, fn, { iterations: N2, warmup: 100 });
 }
 
 benchLarge('for...in (500 props)', () => {
@@ -13,20 +13,13 @@
  * 5. Nested spread (not deep copy)
  */
 
-const N = 2_000_000;
-
-function bench(label, fn) {
-  for (let i = 0; i < 500; i++) fn();
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) result += fn();
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
+const { suite } = require('../lib/bench');
+
+const N = 200_000; // calls per sample
+
+const bench = suite({ iterations: N, warmup: 500, labelWidth: 55 });
 
-console.log(`\n=== V8 object spread (N=${N.toLocaleString()}) ===\n`);
+console.log(`\n=== V8 object spread (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: shallow copy (5 props) ---
 console.log('--- Test 1: shallow copy (5 properties) ---');
@@ -111,16 +104,9 @@ bench('Object.assign({}, obj) (20 props)', () => {
 const large = {};
 for (let i = 0; i < 100; i++) large[`k${i}`] = i;
 
-const N2 = 500_000;
+const N2 = 50_000;
 function benchLarge(label, fn) {
-  for (let i = 0; i < 200; i++) fn();
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N2; i++) result += fn();
-  const ms = performance.now() - start;
-  const opsPerSec = (N2 / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
+  return bench(label, fn, { iterations: N2, warmup: 200 });
 }
 
 benchLarge('{...obj} spread (100 props)', () => {
@@ -14,23 +14,13 @@
  * 6. Array access: arr?.[i] vs manual
  */
 
-const N = 10_000_000;
-
-function bench(label, fn) {
-  for (let i = 0; i < 1000; i++) fn();
-
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) {
-    result += fn();
-  }
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
-
-console.log(`\n=== V8 optional chaining (N=${N.toLocaleString()}) ===\n`);
+const { suite } = require('../lib/bench');
+
+const N = 1_000_000; // calls per sample
+
+const bench = suite({ iterations: N, warmup: 1000, labelWidth: 55 });
+
+console.log(`\n=== V8 optional chaining (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: simple property access ---
 console.log('--- Test 1: simple property access (obj exists) ---');
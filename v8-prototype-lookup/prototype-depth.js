@@ -13,25 +13,19 @@
 //   4. Method calls: own closure vs shared fn vs prototype vs class
 //   5. ES6 class syntax vs manual prototype
 //
-// Node.js v20.20.0 / V8 v12
+// Node.js v20.20.0 / V8 v12 (the shared-harness RESULTS are from v20.19.5)
 // Run: node v8-prototype-lookup/prototype-depth.js
 // Bytecode: node --print-bytecode --print-bytecode-filter='readX' v8-prototype-lookup/prototype-depth.js
 
 // === Helpers ===
 
-function bench(name, fn, iterations) {
-  // warmup
-  for (var i = 0; i < 1000; i++) fn();
-
-  var start = performance.now();
-  for (var i = 0; i < iterations; i++) fn();
-  var elapsed = performance.now() - start;
-  console.log(name + ': ' + elapsed.toFixed(2) + 'ms');
-  return elapsed;
-}
+var { suite, formatNs } = require('../lib/bench');
 
 var N = 10_000_000;
 
+// Each call does 100 accesses; 10 samples of N/10 accesses
+var bench = suite({ iterations: N / 1000, warmup: 1000, opsPerCall: 100, labelWidth: 18 });
+
 // === Case 1: Own property (depth 0) ===
 console.log('=== Case 1: Own property (depth 0) ===');
 
@@ -46,7 +40,7 @@ var tOwn = bench('own', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXOwn(ownObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 2: Prototype property (depth 1) ===
@@ -64,7 +58,7 @@ var tProto1 = bench('proto1', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXProto1(proto1Objs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 3: Prototype depth 2 ===
@@ -86,7 +80,7 @@ var tProto2 = bench('proto2', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXProto2(proto2Objs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 4: Prototype depth 5 ===
@@ -116,7 +110,7 @@ var tProto5 = bench('proto5', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXProto5(proto5Objs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 5: Prototype depth 10 ===
@@ -133,7 +127,7 @@ var tProto10 = bench('proto10', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXProto10(proto10Objs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 6: Own property shadowing prototype ===
@@ -155,7 +149,7 @@ var tShadow = bench('shadow', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXShadow(shadowObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 7: Method call — own vs prototype ===
@@ -175,7 +169,7 @@ var tMethOwn = bench('method-own', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += callMethodOwn(methOwnObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 function MethodProto() { this.val = 1; }
@@ -190,7 +184,7 @@ var tMethProto = bench('method-proto', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += callMethodProto(methProtoObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 7b: Own method — shared function (control) ===
@@ -211,7 +205,7 @@ var tMethShared = bench('method-own-shared', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += callMethodShared(methSharedObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Case 8: class syntax vs manual prototype ===
@@ -234,7 +228,7 @@ var tClass = bench('class-proto', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += readXClass(classObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 function callMethodClass(obj) { return obj.getVal(); }
 for (var i = 0; i < 100000; i++) callMethodClass(classObjs[i % 100]);
@@ -243,27 +237,30 @@ var tClassMeth = bench('class-method', function() {
   var sum = 0;
   for (var i = 0; i < 100; i++) sum += callMethodClass(classObjs[i]);
   return sum;
-}, N / 100);
+}).median;
 
 
 // === Summary ===
 console.log('\n=== Summary ===');
 console.log('Property access by prototype depth:');
-console.log('  own (depth 0):    ' + tOwn.toFixed(2) + 'ms (baseline)');
-console.log('  proto (depth 1):  ' + tProto1.toFixed(2) + 'ms (' + ((tProto1/tOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  proto (depth 2):  ' + tProto2.toFixed(2) + 'ms (' + ((tProto2/tOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  proto (depth 5):  ' + tProto5.toFixed(2) + 'ms (' + ((tProto5/tOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  proto (depth 10): ' + tProto10.toFixed(2) + 'ms (' + ((tProto10/tOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  shadow (own+proto): ' + tShadow.toFixed(2) + 'ms (' + ((tShadow/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  own (depth 0):    ' + formatNs(tOwn) + ' ns/op (baseline)');
+console.log('  proto (depth 1):  ' + formatNs(tProto1) + ' ns/op (' + ((tProto1/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  proto (depth 2):  ' + formatNs(tProto2) + ' ns/op (' + ((tProto2/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  proto (depth 5):  ' + formatNs(tProto5) + ' ns/op (' + ((tProto5/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  proto (depth 10): ' + formatNs(tProto10) + ' ns/op (' + ((tProto10/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  shadow (own+proto): ' + formatNs(tShadow) + ' ns/op (' + ((tShadow/tOwn - 1) * 100).toFixed(0) + '%)');
 console.log();
 console.log('Method calls:');
-console.log('  own method (closure/instance): ' + tMethOwn.toFixed(2) + 'ms');
-console.log('  own method (shared fn):        ' + tMethShared.toFixed(2) + 'ms (' + ((tMethShared/tMethOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  proto method:                  ' + tMethProto.toFixed(2) + 'ms (' + ((tMethProto/tMethOwn - 1) * 100).toFixed(0) + '%)');
-console.log('  class method:                  ' + tClassMeth.toFixed(2) + 'ms (' + ((tClassMeth/tMethOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  own method (closure/instance): ' + formatNs(tMethOwn) + ' ns/op');
+console.log('  own method (shared fn):        ' + formatNs(tMethShared) + ' ns/op (' + ((tMethShared/tMethOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  proto method:                  ' + formatNs(tMethProto) + ' ns/op (' + ((tMethProto/tMethOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  class method:                  ' + formatNs(tClassMeth) + ' ns/op (' + ((tClassMeth/tMethOwn - 1) * 100).toFixed(0) + '%)');
 console.log();
 console.log('Class syntax:');
-console.log('  class proto .x: ' + tClass.toFixed(2) + 'ms (' + ((tClass/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log('  class proto .x: ' + formatNs(tClass) + ' ns/op (' + ((tClass/tOwn - 1) * 100).toFixed(0) + '%)');
+console.log();
+console.log('  depth 10 vs own:          ' + bench.compare('own', 'proto10').text);
+console.log('  own method vs proto:      ' + bench.compare('method-proto', 'method-own').text);
 
 // === RESULTS (node v20.20.0, Linux x86_64) ===
 //
@@ -293,6 +290,20 @@ console.log('  class proto .x: ' + tClass.toFixed(2) + 'ms (' + ((tClass/tOwn -
 //   4. With shared function or prototype method: single function target,
 //      TurboFan inlines confidently
 //
+// === RESULTS, shared harness (node v20.19.5, Linux x86_64, 3 runs) ===
+//
+// Property access, vs own (1.7-2.9 ns/op):
+//   proto (depth 1):    -9 to +2%
+//   proto (depth 2):    -9 to +31%
+//   proto (depth 5):    -16 to +27%
+//   proto (depth 10):   -19 to +20%
+//   shadow (own+proto): -9 to +63%
+//
+// Method calls, vs own method (closure/instance, 3.6-3.7 ns/op):
+//   own method (shared fn): -17 to -48%
+//   proto method:           -22 to -30%
+//   class method:           -26 to -54%
+//
 // === BYTECODE ===
 //
 // All readX variants (own, proto1, proto2, ...) produce IDENTICAL bytecode:
@@ -15,20 +15,13 @@
  * 7. Proxy vs getter
  */
 
-const N = 5_000_000;
-
-function bench(label, fn) {
-  for (let i = 0; i < 1000; i++) fn();
-  const start = performance.now();
-  let result = 0;
-  for (let i = 0; i < N; i++) result += fn();
-  const ms = performance.now() - start;
-  const opsPerSec = (N / (ms / 1000)).toExponential(2);
-  console.log(`  ${label.padEnd(55)} ${ms.toFixed(0).padStart(6)}ms  (${opsPerSec} ops/sec)`);
-  return result;
-}
-
-console.log(`\n=== V8 Proxy performance (N=${N.toLocaleString()}) ===\n`);
+const { suite } = require('../lib/bench');
+
+const N = 500_000; // calls per sample
+
+const bench = suite({ iterations: N, warmup: 1000, labelWidth: 55 });
+
+console.log(`\n=== V8 Proxy performance (${N.toLocaleString()} calls x 10 samples) ===\n`);
 
 // --- Test 1: property read ---
 console.log('--- Test 1: property read ---');
@@ -1,21 +1,18 @@
 // V8 performance: single return vs multiple returns
 // Question: does the number of return statements affect optimization?
-// Run: node bench.js
-//   node --no-opt bench.js
-//   node --max-opt=maglev bench.js
-// (default = TurboFan)
-
-function bench(name, fn, iterations) {
-  // warmup: enough iterations to trigger optimization
-  for (let i = 0; i < 10000; i++) fn(i % 100, i % 50);
-  const start = performance.now();
-  for (let i = 0; i < iterations; i++) fn(i % 100, i % 50);
-  const elapsed = performance.now() - start;
-  console.log(`${name}: ${elapsed.toFixed(2)}ms`);
-  return elapsed;
-}
+// Run: node bench.js              (default = TurboFan)
+//   node ../tools/tiers.js bench.js  (Ignition / Sparkplug / Maglev / TurboFan table)
+
+const { suite } = require('../lib/bench');
+
+const N = 2_000_000; // calls per sample
 
-const N = 20_000_000;
+// warmup: enough iterations to trigger optimization
+const run = suite({ iterations: N, warmup: 10000, labelWidth: 14 });
+
+function bench(name, fn) {
+  return run(name, (i) => fn(i % 100, i % 50)).median;
+}
 
 // === Test 1: Simple classification (return category based on value) ===
 
@@ -121,28 +118,28 @@ function processSingle(x, y) {
 // === Run benchmarks ===
 
 console.log(`\nV8 Single Return vs Multiple Returns`);
-console.log(`Node ${process.version}, ${N.toLocaleString()} iterations`);
+console.log(`Node ${process.version}, ${N.toLocaleString()} iterations x 10 samples`);
 console.log(`Flags: ${process.execArgv.join(' ') || '(default — TurboFan)'}`);
 console.log('='.repeat(55));
 
 console.log('\n--- Classification (string return) ---');
-const t1m = bench('multi-return ', classifyMulti, N);
-const t1s = bench('single-return', classifySingle, N);
+const t1m = bench('classifyMulti', classifyMulti);
+const t1s = bench('classifySingle', classifySingle);
 console.log(`  ratio: ${(t1m / t1s).toFixed(3)}x`);
 
 console.log('\n--- Numeric computation (guard clauses) ---');
-const t2m = bench('multi-return ', computeMulti, N);
-const t2s = bench('single-return', computeSingle, N);
+const t2m = bench('computeMulti', computeMulti);
+const t2s = bench('computeSingle', computeSingle);
 console.log(`  ratio: ${(t2m / t2s).toFixed(3)}x`);
 
 console.log('\n--- Validation (many exits vs one) ---');
-const t3m = bench('multi-return ', validateMulti, N);
-const t3s = bench('single-return', validateSingle, N);
+const t3m = bench('validateMulti', validateMulti);
+const t3s = bench('validateSingle', validateSingle);
 console.log(`  ratio: ${(t3m / t3s).toFixed(3)}x`);
 
 console.log('\n--- Deep nesting (branchy logic) ---');
-const t4m = bench('multi-return ', processMulti, N);
-const t4s = bench('single-return', processSingle, N);
+const t4m = bench('processMulti', processMulti);
+const t4s = bench('processSingle', processSingle);
 console.log(`  ratio: ${(t4m / t4s).toFixed(3)}x`);
 
 console.log('\n(ratio < 1 = multi is faster, > 1 = single is faster)');
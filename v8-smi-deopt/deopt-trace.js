@@ -1,5 +1,6 @@
 // Deoptimization trace: type-stable vs type-changing
 // Run: node --trace-deopt deopt-trace.js
+// Report: node ../tools/deopts.js deopt-trace.js  (table of function / reason / location)
 
 // Type-stable function — should stay optimized
 function stableAdd(a, b) {
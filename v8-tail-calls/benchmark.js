@@ -88,15 +88,9 @@ function fibTrampolineCPS(n) {
 
 // === Benchmark utility ===
 
-function bench(name, fn, args, iterations) {
-  // warmup
-  for (let i = 0; i < Math.min(iterations, 1000); i++) fn(...args);
-
-  const t = process.hrtime.bigint();
-  for (let i = 0; i < iterations; i++) fn(...args);
-  const ms = Number(process.hrtime.bigint() - t) / 1e6;
-  return { name, ms, opsPerSec: Math.round(iterations / ms * 1000) };
-}
+const { suite } = require('../lib/bench');
+
+const bench = suite({ labelWidth: 34 });
 
 // === Run ===
 
@@ -109,37 +103,31 @@ console.log();
 
 // Factorial benchmarks
 const N = 5000;
-const ITER = 10000;
-console.log(`=== Factorial(${N}) x ${ITER} ===`);
+const ITER = 1000; // calls per sample
+console.log(`=== Factorial(${N}) x ${ITER} x 10 samples ===`);
 
 const results = [
-  bench('Recursive (tail)', recursive, [N], ITER),
-  bench('Iterative', iterative, [N], ITER),
-  bench('Trampoline (closure)', trampolineClosure, [N], ITER),
-  bench('Trampoline (generator)', trampolineGenerator, [N], ITER),
+  bench('factorial: recursive (tail)', () => recursive(N), { iterations: ITER }),
+  bench('factorial: iterative', () => iterative(N), { iterations: ITER }),
+  bench('factorial: trampoline (closure)', () => trampolineClosure(N), { iterations: ITER }),
+  bench('factorial: trampoline (generator)', () => trampolineGenerator(N), { iterations: ITER }),
 ];
 
-const baseline = results.find(r => r.name === 'Iterative').ms;
+const baseline = results.find(r => r.label === 'factorial: iterative').median;
+console.log();
 for (const r of results) {
-  const ratio = (r.ms / baseline).toFixed(1);
-  console.log(`  ${r.name.padEnd(25)} ${r.ms.toFixed(1).padStart(8)}ms  ${ratio.padStart(5)}x`);
+  const ratio = (r.median / baseline).toFixed(1);
+  console.log(`  ${r.label.padEnd(34)} ${ratio.padStart(5)}x`);
 }
 
 // Fibonacci benchmarks (tree recursion — harder to trampoline)
 console.log();
-console.log('=== Fibonacci(25) x 100 ===');
+console.log('=== Fibonacci(25), ns per call ===');
 console.log('(Tree recursion — the case where trampolines really cost)');
 
-const fibResults = [
-  bench('Recursive', fibRecursive, [25], 100),
-  bench('Iterative', fibIterative, [25], 100000),
-  bench('Trampoline CPS', fibTrampolineCPS, [25], 100),
-];
-
-// Normalize fibonacci to per-call
-console.log(`  ${'Recursive'.padEnd(25)} ${(fibResults[0].ms / 100 * 1000).toFixed(1).padStart(8)}μs/call`);
-console.log(`  ${'Iterative'.padEnd(25)} ${(fibResults[1].ms / 100000 * 1000).toFixed(3).padStart(8)}μs/call`);
-console.log(`  ${'Trampoline CPS'.padEnd(25)} ${(fibResults[2].ms / 100 * 1000).toFixed(1).padStart(8)}μs/call`);
+bench('fibonacci: recursive', () => fibRecursive(25), { iterations: 10 });
+bench('fibonacci: iterative', () => fibIterative(25), { iterations: 10000 });
+bench('fibonacci: trampoline CPS', () => fibTrampolineCPS(25), { iterations: 10 });
 
 console.log();
 console.log('=== Summary ===');
@@ -16,19 +16,12 @@
  * Day 1380, session 278. Section 18 of v8-perf-guide.
  */
 
-const ITER = 1e7;
-const WARMUP = 1e5;
-
-function bench(name, fn, iterations = ITER) {
-  // Warmup
-  for (let i = 0; i < WARMUP; i++) fn(i);
+const { suite, formatNs, formatSpread, spread } = require('../lib/bench');
 
-  const start = performance.now();
-  for (let i = 0; i < iterations; i++) fn(i);
-  const elapsed = performance.now() - start;
+const ITER = 1e6; // calls per sample
+const WARMUP = 1e5;
 
-  return { name, elapsed, opsPerSec: (iterations / elapsed * 1000).toFixed(0) };
-}
+const bench = suite({ iterations: ITER, warmup: WARMUP, quiet: true });
 
 // ============================================================
 // Test 1: Hot loop — try-catch wrapper, no exceptions thrown
@@ -193,7 +186,7 @@ function nested5(n) {
 // ============================================================
 
 console.log(`Node ${process.version}, V8 ${process.versions.v8}`);
-console.log(`Iterations: ${ITER.toLocaleString()}\n`);
+console.log(`Iterations: ${ITER.toLocaleString()} x 10 samples\n`);
 
 const results = [];
 
@@ -223,13 +216,13 @@ results.push(bench('6c. 3-level nested try-catch', nested3));
 results.push(bench('6d. 5-level nested try-catch', nested5));
 
 // Display
-console.log('Test'.padEnd(45) + 'Time (ms)'.padStart(12) + '  ops/sec');
+console.log('Test'.padEnd(45) + 'ns/op'.padStart(12) + '  spread');
 console.log('-'.repeat(70));
 for (const r of results) {
   console.log(
-    r.name.padEnd(45) +
-    r.elapsed.toFixed(1).padStart(12) +
-    ('  ' + Number(r.opsPerSec).toLocaleString())
+    r.label.padEnd(45) +
+    formatNs(r.median).padStart(12) +
+    ('  ' + formatSpread(spread(r)))
   );
 }
 
@@ -244,15 +237,15 @@ const pairs = [
 ];
 
 for (const [a, b, label] of pairs) {
-  const ra = results.find(r => r.name.startsWith(a));
-  const rb = results.find(r => r.name.startsWith(b));
+  const ra = results.find(r => r.label.startsWith(a));
+  const rb = results.find(r => r.label.startsWith(b));
   if (ra && rb) {
-    const ratio = ra.elapsed / rb.elapsed;
-    const faster = ratio < 1 ? ra.name : rb.name;
+    const ratio = ra.median / rb.median;
+    const faster = ratio < 1 ? ra.label : rb.label;
     const factor = ratio < 1 ? (1/ratio).toFixed(1) : ratio.toFixed(1);
     console.log(`${label}:`);
-    console.log(`  ${ra.name}: ${ra.elapsed.toFixed(1)}ms`);
-    console.log(`  ${rb.name}: ${rb.elapsed.toFixed(1)}ms`);
+    console.log(`  ${ra.label}: ${formatNs(ra.median)} ns/op`);
+    console.log(`  ${rb.label}: ${formatNs(rb.median)} ns/op`);
     console.log(`  → ${faster.split('.')[0].trim()} is ${factor}x faster\n`);
   }
 }
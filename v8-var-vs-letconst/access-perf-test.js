@@ -1,5 +1,17 @@
+// var vs let/const access in a hot loop, in Node and in d8
+//
+// Run (from this folder):
+//   node --no-opt access-perf-test.js
+//   d8 --no-opt ../lib/prelude.js -- access-perf-test.js
+// d8 has no require or process; lib/prelude.js provides them.
+
 (function () {
-  var runs = 500_000_000;
+  var { suite } = require('../lib/bench');
+
+  // Was 500M in one timed call. 5 samples of 100M make the same 500M
+  // increments: more would push the counters past the Smi range, and
+  // every increment would allocate a HeapNumber
+  var runs = 100_000_000;
 
   var varVar = 0;
   let letVar = 0;
@@ -20,18 +32,15 @@
     }
   }
 
-  function measure(name, fn) {
-    var start = performance.now();
-    fn();
-    var end = performance.now();
-    console.log(`${name} time: ${(end - start).toFixed(3)} ms`);
-  }
+  var measure = suite({ iterations: 1, opsPerCall: runs, warmup: 0, samples: 5, labelWidth: 20 });
 
   measure("let/const access", testLetConst);
   measure("var access", testVar);
 })();
 
 /*
+Recorded before the shared harness: one call of 500M accesses, total ms.
+
 % node --no-opt access-perf-test.js
 let/const access time: 3615.846 ms
 var access time: 3140.721 ms
@@ -15,7 +15,9 @@
  * Bytecode: node --print-bytecode --print-bytecode-filter="testVarClosure|testLetClosure|testLetLocal" tdz-closure-test.js
  */
 (function () {
-  var runs = 500_000_000;
+  var { suite } = require('../lib/bench');
+
+  var runs = 100_000_000;
 
   // --- Test 1: var in outer scope (closure access) ---
   var varOuter = 0;
@@ -47,21 +49,9 @@
     }
   }
 
-  function measure(name, fn) {
-    var start = performance.now();
-    fn();
-    var end = performance.now();
-    console.log(`${name}: ${(end - start).toFixed(3)} ms`);
-  }
-
-  // Warmup
-  measure("warmup (ignore)", testVarClosure);
+  // One call runs the whole loop; the first call warms up, 5 are timed
+  var measure = suite({ iterations: 1, opsPerCall: runs, warmup: 1, samples: 5, labelWidth: 24 });
 
-  console.log("---");
-  measure("var outer (closure)", testVarClosure);
-  measure("let outer (closure)", testLetClosure);
-  measure("let local (no closure)", testLetLocal);
-  console.log("---");
   measure("var outer (closure)", testVarClosure);
   measure("let outer (closure)", testLetClosure);
   measure("let local (no closure)", testLetLocal);
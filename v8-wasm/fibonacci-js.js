@@ -1,3 +1,11 @@
+// Fibonacci in plain JS, the baseline for fibonacci-wasm.js
+//
+// Run (from this folder):
+//   node fibonacci-js.js
+//   d8 ../lib/prelude.js -- fibonacci-js.js
+
+var { suite } = require('../lib/bench');
+
 function fibonacci(maxIterations) {
   var a = 0;
   var b = 1;
@@ -11,9 +19,11 @@ function fibonacci(maxIterations) {
 }
 
 (() => {
-  var start = Date.now();
   var maxIterations = 1_000_000_000;
-  var result = fibonacci(maxIterations);
-  var end = Date.now();
-  console.log('Fibonacci result:', result, ' Time (js): ', ((end-start)/1_000).toFixed(3), 's');
+  // One call is the whole run, timed once; no warmup, tier-up is part of
+  // what's measured
+  var bench = suite({ iterations: 1, opsPerCall: maxIterations, warmup: 0, samples: 1 });
+  var result;
+  var r = bench('fibonacci (js)', () => (result = fibonacci(maxIterations)));
+  console.log('Fibonacci result:', result, ' Time (js): ', (r.median * maxIterations / 1e9).toFixed(3), 's');
 })();
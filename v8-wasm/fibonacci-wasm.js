@@ -1,4 +1,13 @@
+// Fibonacci in WebAssembly (fibonacci.wat), timed like fibonacci-js.js
+//
+// Run (from this folder):
+//   node fibonacci-wasm.js
+//   d8 ../lib/prelude.js -- fibonacci-wasm.js
+// In d8, lib/prelude.js provides require('node:fs/promises') with a
+// readFile backed by readbuffer().
+
 var fs = require('node:fs/promises');
+var { suite } = require('../lib/bench');
 
 (async () => {
   var wasmBuffer = await fs.readFile('./fibonacci.wasm');
@@ -6,9 +15,9 @@ var fs = require('node:fs/promises');
   var instance = await WebAssembly.instantiate(wasmModule);
   var fibonacci = instance.exports.fibonacci;
 
-  var start = Date.now();
   var maxIterations = 1_000_000_000;
-  var result = fibonacci(maxIterations);
-  var end = Date.now();
-  console.log('Fibonacci result:', result, ' Time (js): ', ((end-start)/1_000).toFixed(3), 's');
+  var bench = suite({ iterations: 1, opsPerCall: maxIterations, warmup: 0, samples: 1 });
+  var result;
+  var r = bench('fibonacci (wasm)', () => (result = fibonacci(maxIterations)));
+  console.log('Fibonacci result:', result, ' Time (js): ', (r.median * maxIterations / 1e9).toFixed(3), 's');
 })();
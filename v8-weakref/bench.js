@@ -3,33 +3,40 @@
 // Reality: WeakRef creates GC-visible tracking objects. FinalizationRegistry
 //          adds callback scheduling on collection. Both have real overhead.
 
+const { suite } = require('../lib/bench');
+
 const N = 1_000_000;
 
+// Every case runs its own loop, so one call = `ops` operations
+const bench = suite({ iterations: 1, warmup: 1, labelWidth: 20 });
+
+function batch(ops) {
+  return { opsPerCall: ops };
+}
+
 // --- Test 1: WeakRef creation cost vs regular reference ---
 function test1_creation_cost() {
   console.log('\n=== Test 1: WeakRef creation cost ===');
 
   // Regular object references
-  let start = performance.now();
-  const refs = [];
-  for (let i = 0; i < N; i++) {
-    refs.push({ value: i });
-  }
-  const regularTime = performance.now() - start;
-  console.log(`regular refs:     ${regularTime.toFixed(1)}ms`);
+  const regular = bench('regular refs', () => {
+    const refs = [];
+    for (let i = 0; i < N; i++) {
+      refs.push({ value: i });
+    }
+    return refs;
+  }, batch(N));
 
   // WeakRef wrapping
-  start = performance.now();
-  const weakRefs = [];
-  for (let i = 0; i < N; i++) {
-    weakRefs.push(new WeakRef({ value: i }));
-  }
-  const weakTime = performance.now() - start;
-  console.log(`WeakRef creation: ${weakTime.toFixed(1)}ms`);
-
-  console.log(`Ratio: ${(weakTime/regularTime).toFixed(1)}x`);
+  const weak = bench('WeakRef creation', () => {
+    const weakRefs = [];
+    for (let i = 0; i < N; i++) {
+      weakRefs.push(new WeakRef({ value: i }));
+    }
+    return weakRefs;
+  }, batch(N));
 
-  return { refs, weakRefs }; // prevent GC
+  console.log(`Ratio: ${(weak.median/regular.median).toFixed(1)}x`);
 }
 
 // --- Test 2: WeakRef.deref() cost vs direct access ---
@@ -40,25 +47,25 @@ function test2_deref_cost() {
   const weak = new WeakRef(obj);
 
   // Direct access
-  let start = performance.now();
-  let sum = 0;
-  for (let i = 0; i < N; i++) {
-    sum += obj.value;
-  }
-  const directTime = performance.now() - start;
-  console.log(`direct access:    ${directTime.toFixed(1)}ms (sum=${sum})`);
+  const direct = bench('direct access', () => {
+    let sum = 0;
+    for (let i = 0; i < N; i++) {
+      sum += obj.value;
+    }
+    return sum;
+  }, batch(N));
 
   // WeakRef.deref()
-  start = performance.now();
-  sum = 0;
-  for (let i = 0; i < N; i++) {
-    const target = weak.deref();
-    if (target) sum += target.value;
-  }
-  const derefTime = performance.now() - start;
-  console.log(`weak.deref():     ${derefTime.toFixed(1)}ms (sum=${sum})`);
+  const deref = bench('weak.deref()', () => {
+    let sum = 0;
+    for (let i = 0; i < N; i++) {
+      const target = weak.deref();
+      if (target) sum += target.value;
+    }
+    return sum;
+  }, batch(N));
 
-  console.log(`Ratio: ${(derefTime/directTime).toFixed(1)}x`);
+  console.log(`Ratio: ${(deref.median/direct.median).toFixed(1)}x`);
 }
 
 // --- Test 3: FinalizationRegistry overhead ---
@@ -67,29 +74,28 @@ function test3_finalization_registry() {
   const ITER = 100_000;
 
   // Without registry — retain objects so GC doesn't skew results
-  const kept1 = [];
-  let start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    kept1.push({ value: i });
-  }
-  const noRegTime = performance.now() - start;
-  console.log(`no registry:      ${noRegTime.toFixed(1)}ms`);
+  const noReg = bench('no registry', () => {
+    const kept = [];
+    for (let i = 0; i < ITER; i++) {
+      kept.push({ value: i });
+    }
+    return kept;
+  }, batch(ITER));
 
   // With FinalizationRegistry (register each object)
   const registry = new FinalizationRegistry((held) => {});
-  const kept2 = [];
 
-  start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const obj = { value: i };
-    registry.register(obj, i);
-    kept2.push(obj);
-  }
-  const regTime = performance.now() - start;
-  console.log(`with registry:    ${regTime.toFixed(1)}ms`);
+  const reg = bench('with registry', () => {
+    const kept = [];
+    for (let i = 0; i < ITER; i++) {
+      const obj = { value: i };
+      registry.register(obj, i);
+      kept.push(obj);
+    }
+    return kept;
+  }, batch(ITER));
 
-  console.log(`Ratio: ${(regTime/noRegTime).toFixed(1)}x`);
-  return { kept1, kept2 };
+  console.log(`Ratio: ${(reg.median/noReg.median).toFixed(1)}x`);
 }
 
 // --- Test 4: WeakMap vs WeakRef for caching ---
@@ -103,42 +109,39 @@ function test4_weakmap_vs_weakref() {
 
   // WeakMap set/get
   const wm = new WeakMap();
-  let start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const key = keys[i % 1000];
-    if (!wm.has(key)) wm.set(key, { data: i });
-    wm.get(key);
-  }
-  const wmTime = performance.now() - start;
-  console.log(`WeakMap get/set:  ${wmTime.toFixed(1)}ms`);
+  const wmResult = bench('WeakMap get/set', () => {
+    for (let i = 0; i < ITER; i++) {
+      const key = keys[i % 1000];
+      if (!wm.has(key)) wm.set(key, { data: i });
+      wm.get(key);
+    }
+  }, batch(ITER));
 
   // Map set/get (for comparison)
   const m = new Map();
-  start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const key = keys[i % 1000];
-    if (!m.has(key)) m.set(key, { data: i });
-    m.get(key);
-  }
-  const mTime = performance.now() - start;
-  console.log(`Map get/set:      ${mTime.toFixed(1)}ms`);
+  const mResult = bench('Map get/set', () => {
+    for (let i = 0; i < ITER; i++) {
+      const key = keys[i % 1000];
+      if (!m.has(key)) m.set(key, { data: i });
+      m.get(key);
+    }
+  }, batch(ITER));
 
   // WeakRef-based cache (manual)
   const cache = new Map();
-  start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const key = keys[i % 1000].id;
-    let ref = cache.get(key);
-    let val = ref?.deref();
-    if (!val) {
-      val = { data: i };
-      cache.set(key, new WeakRef(val));
+  const wrResult = bench('WeakRef cache', () => {
+    for (let i = 0; i < ITER; i++) {
+      const key = keys[i % 1000].id;
+      let ref = cache.get(key);
+      let val = ref?.deref();
+      if (!val) {
+        val = { data: i };
+        cache.set(key, new WeakRef(val));
+      }
     }
-  }
-  const wrTime = performance.now() - start;
-  console.log(`WeakRef cache:    ${wrTime.toFixed(1)}ms`);
+  }, batch(ITER));
 
-  console.log(`Ratios: WeakMap/Map=${(wmTime/mTime).toFixed(2)}x, WeakRef/Map=${(wrTime/mTime).toFixed(2)}x`);
+  console.log(`Ratios: WeakMap/Map=${(wmResult.median/mResult.median).toFixed(2)}x, WeakRef/Map=${(wrResult.median/mResult.median).toFixed(2)}x`);
 }
 
 // --- Test 5: WeakRef survival across GC ---
@@ -178,27 +181,25 @@ function test6_weakset_vs_set() {
 
   // Set
   const s = new Set();
-  let start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const obj = objects[i % 1000];
-    s.add(obj);
-    s.has(obj);
-  }
-  const setTime = performance.now() - start;
-  console.log(`Set add/has:      ${setTime.toFixed(1)}ms`);
+  const set = bench('Set add/has', () => {
+    for (let i = 0; i < ITER; i++) {
+      const obj = objects[i % 1000];
+      s.add(obj);
+      s.has(obj);
+    }
+  }, batch(ITER));
 
   // WeakSet
   const ws = new WeakSet();
-  start = performance.now();
-  for (let i = 0; i < ITER; i++) {
-    const obj = objects[i % 1000];
-    ws.add(obj);
-    ws.has(obj);
-  }
-  const wsTime = performance.now() - start;
-  console.log(`WeakSet add/has:  ${wsTime.toFixed(1)}ms`);
+  const weakSet = bench('WeakSet add/has', () => {
+    for (let i = 0; i < ITER; i++) {
+      const obj = objects[i % 1000];
+      ws.add(obj);
+      ws.has(obj);
+    }
+  }, batch(ITER));
 
-  console.log(`Ratio: ${(wsTime/setTime).toFixed(2)}x`);
+  console.log(`Ratio: ${(weakSet.median/set.median).toFixed(2)}x`);
 }
 
 // --- Test 7: FinalizationRegistry callback timing ---
@@ -239,9 +240,9 @@ async function test7_callback_timing() {
 
 async function main() {
   console.log(`Node ${process.version}`);
-  console.log(`Iterations: ${N.toLocaleString()}`);
+  console.log(`Iterations: ${N.toLocaleString()} x 10 samples`);
 
-  const kept = test1_creation_cost();
+  test1_creation_cost();
   test2_deref_cost();
   test3_finalization_registry();
   test4_weakmap_vs_weakref();